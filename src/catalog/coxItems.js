@@ -0,0 +1,105 @@
+/**
+ * Chambers of Xeric drop catalog
+ *
+ * Each entry has:
+ *   - id: OSRS item ID
+ *   - name: canonical item name, used in sheet rows and stats
+ *   - aliases: other spellings seen in webhook messages (matched case-insensitively)
+ *   - category: 'purple' (unique table), 'pet' or 'cosmetic'
+ *   - modeOnly: the raid mode the item exclusively drops in ('challenge' for Challenge Mode)
+ */
+
+module.exports = [
+  {
+    id: 21034,
+    name: 'Dexterous prayer scroll',
+    aliases: ['dex scroll', 'dex prayer scroll'],
+    category: 'purple',
+  },
+  {
+    id: 21079,
+    name: 'Arcane prayer scroll',
+    aliases: ['arcane scroll'],
+    category: 'purple',
+  },
+  {
+    id: 21000,
+    name: 'Twisted buckler',
+    aliases: [],
+    category: 'purple',
+  },
+  {
+    id: 21012,
+    name: 'Dragon hunter crossbow',
+    aliases: ['dhcb'],
+    category: 'purple',
+  },
+  {
+    id: 21015,
+    name: "Dinh's bulwark",
+    aliases: ['dinhs bulwark', 'dinhis bulwark', 'dinh bulwark'],
+    category: 'purple',
+  },
+  {
+    id: 21018,
+    name: 'Ancestral hat',
+    aliases: [],
+    category: 'purple',
+  },
+  {
+    id: 21021,
+    name: 'Ancestral robe top',
+    aliases: ['ancestral top'],
+    category: 'purple',
+  },
+  {
+    id: 21024,
+    name: 'Ancestral robe bottom',
+    aliases: ['ancestral bottom', 'ancestral robe bottoms'],
+    category: 'purple',
+  },
+  {
+    id: 13652,
+    name: 'Dragon claws',
+    aliases: ['d claws', 'dclaws'],
+    category: 'purple',
+  },
+  {
+    id: 21003,
+    name: 'Elder maul',
+    aliases: [],
+    category: 'purple',
+  },
+  {
+    id: 21043,
+    name: 'Kodai insignia',
+    aliases: [],
+    category: 'purple',
+  },
+  {
+    id: 20997,
+    name: 'Twisted bow',
+    aliases: ['tbow'],
+    category: 'purple',
+  },
+  {
+    id: 20851,
+    name: 'Olmlet',
+    aliases: [],
+    category: 'pet',
+  },
+  {
+    id: 22386,
+    name: 'Metamorphic dust',
+    aliases: ['meta dust'],
+    category: 'cosmetic',
+    modeOnly: 'challenge',
+  },
+  {
+    id: 24670,
+    name: 'Twisted ancestral colour kit',
+    aliases: ['twisted ancestral color kit', 'twisted ancestral kit'],
+    category: 'cosmetic',
+    modeOnly: 'challenge',
+  },
+];
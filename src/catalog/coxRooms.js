@@ -0,0 +1,27 @@
+/**
+ * Chambers of Xeric room catalog
+ *
+ * Each entry has:
+ *   - name: canonical room name, used in split rows
+ *   - aliases: other names seen in room completion messages (matched case-insensitively)
+ *   - kind: 'combat', 'puzzle', 'floor' (a whole floor of rooms) or 'olm'
+ */
+
+module.exports = [
+  { name: 'Tekton', aliases: [], kind: 'combat' },
+  { name: 'Ice Demon', aliases: ['Ice demon room'], kind: 'puzzle' },
+  { name: 'Crabs', aliases: ['Jewelled Crabs', 'Crystal crabs', 'Crab room'], kind: 'puzzle' },
+  { name: 'Shamans', aliases: ['Lizardman Shamans', 'Lizardmen Shamans'], kind: 'combat' },
+  { name: 'Vanguards', aliases: ['Vanguard'], kind: 'combat' },
+  { name: 'Thieving', aliases: ['Thieving room'], kind: 'puzzle' },
+  { name: 'Vespula', aliases: [], kind: 'combat' },
+  { name: 'Tightrope', aliases: ['Rope', 'Deathly rangers', 'Deathly mages'], kind: 'puzzle' },
+  { name: 'Guardians', aliases: [], kind: 'combat' },
+  { name: 'Vasa', aliases: ['Vasa Nistirio'], kind: 'combat' },
+  { name: 'Mystics', aliases: ['Skeletal Mystics'], kind: 'combat' },
+  { name: 'Muttadiles', aliases: ['Muttadile'], kind: 'combat' },
+  { name: 'Upper level', aliases: ['Upper floor'], kind: 'floor' },
+  { name: 'Middle level', aliases: ['Middle floor'], kind: 'floor' },
+  { name: 'Lower level', aliases: ['Lower floor'], kind: 'floor' },
+  { name: 'Great Olm', aliases: ['Olm'], kind: 'olm' },
+];
@@ -0,0 +1,107 @@
+/**
+ * Item, room and raid catalog lookups
+ * Maps whatever spelling a webhook used to the canonical catalog entry
+ */
+
+const coxItems = require('./coxItems');
+const coxRooms = require('./coxRooms');
+const tobItems = require('./tobItems');
+const tobRooms = require('./tobRooms');
+const toaItems = require('./toaItems');
+const toaRooms = require('./toaRooms');
+const { RAIDS, detectRaidType, detectRaidMode, modeFromRaidLevel } = require('./raids');
+
+/**
+ * Tag every catalog entry with the raid it belongs to
+ */
+function forRaid(raidType, entries) {
+  return entries.map(entry => ({ ...entry, raidType }));
+}
+
+const items = [...forRaid('cox', coxItems), ...forRaid('tob', tobItems), ...forRaid('toa', toaItems)];
+const rooms = [...forRaid('cox', coxRooms), ...forRaid('tob', tobRooms), ...forRaid('toa', toaRooms)];
+
+/**
+ * Normalise text for matching: lowercase, straight apostrophes, single spaces
+ */
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[‘’`]/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Every spelling of every item, longest first so "ancestral robe top" wins over shorter aliases
+const matchers = items
+  .flatMap(item => [item.name, ...item.aliases].map(spelling => ({
+    item,
+    spelling: normalize(spelling),
+    pattern: new RegExp(`(^|[^a-z0-9])${escapeRegExp(normalize(spelling))}($|[^a-z0-9])`),
+  })))
+  .sort((a, b) => b.spelling.length - a.spelling.length);
+
+/**
+ * Find the first catalog item mentioned anywhere in a piece of text
+ * @param {string} text - Message or message fragment
+ * @returns {Object|null} - Catalog item ({ id, name, category, raidType, ... }) or null
+ */
+function findItemInText(text) {
+  const normalized = normalize(text);
+  const match = matchers.find(matcher => matcher.pattern.test(normalized));
+  return match ? match.item : null;
+}
+
+/**
+ * Find the catalog item a name or alias spells exactly (e.g. a key of the price table)
+ * @returns {Object|null} - Catalog item or null
+ */
+function findItemByName(name) {
+  const normalized = normalize(name);
+  const match = matchers.find(matcher => matcher.spelling === normalized);
+  return match ? match.item : null;
+}
+
+/**
+ * Look up a catalog item by ID
+ */
+function getItemById(id) {
+  return items.find(item => item.id === Number(id)) || null;
+}
+
+/**
+ * The pet of a raid ("You have a funny feeling like you're being followed" doesn't name it)
+ */
+function getRaidPet(raidType) {
+  return items.find(item => item.raidType === raidType && item.category === 'pet') || null;
+}
+
+// Every name of every room, normalised
+const roomsByName = new Map(
+  rooms.flatMap(room => [room.name, ...room.aliases].map(name => [normalize(name), room]))
+);
+
+/**
+ * Look up a room by the name used in a room completion message
+ * Unlike items, the whole name must match - "your raid is complete" names no room
+ * @returns {Object|null} - Catalog room ({ name, kind, raidType }) or null
+ */
+function findRoom(name) {
+  return roomsByName.get(normalize(name).replace(/^the /, '')) || null;
+}
+
+module.exports = {
+  findItemInText,
+  findItemByName,
+  getItemById,
+  getRaidPet,
+  findRoom,
+  RAIDS,
+  detectRaidType,
+  detectRaidMode,
+  modeFromRaidLevel,
+};
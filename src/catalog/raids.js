@@ -0,0 +1,84 @@
+/**
+ * Raids the tracker knows about
+ *
+ * Each entry has:
+ *   - name: full raid name as the game writes it
+ *   - shortName: abbreviation used in logs and tab names
+ *   - pattern: matches the raid name in a message, Dink source or boss name
+ *   - modes: mode -> label written to the sheet; 'normal' is the mode when a message doesn't say
+ *   - modePatterns: message text naming a mode other than normal
+ */
+
+const RAIDS = {
+  cox: {
+    name: 'Chambers of Xeric',
+    shortName: 'CoX',
+    pattern: /chambers\s+of\s+xeric/i,
+    modes: { normal: 'Normal', challenge: 'CM' },
+    modePatterns: [
+      { mode: 'challenge', pattern: /challenge\s*mode|\(CM\)/i },
+    ],
+  },
+  tob: {
+    name: 'Theatre of Blood',
+    shortName: 'ToB',
+    pattern: /theatre\s+of\s+blood/i,
+    modes: { entry: 'Entry', normal: 'Normal', hard: 'Hard' },
+    modePatterns: [
+      { mode: 'hard', pattern: /hard\s*mode|\(HM\)/i },
+      { mode: 'entry', pattern: /entry\s*mode|story\s*mode/i },
+    ],
+  },
+  toa: {
+    name: 'Tombs of Amascut',
+    shortName: 'ToA',
+    pattern: /tombs\s+of\s+amascut/i,
+    modes: { entry: 'Entry', normal: 'Normal', expert: 'Expert' },
+    modePatterns: [
+      { mode: 'expert', pattern: /expert\s*mode/i },
+      { mode: 'entry', pattern: /entry\s*mode/i },
+    ],
+  },
+};
+
+// Tombs of Amascut raid (invocation) levels where Normal and Expert mode start
+const TOA_NORMAL_LEVEL = 150;
+const TOA_EXPERT_LEVEL = 300;
+
+/**
+ * Raid named in a piece of text
+ * @returns {string|null} - Raid type ('cox', 'tob' or 'toa'), or null if no raid is named
+ */
+function detectRaidType(text) {
+  const match = Object.entries(RAIDS).find(([, raid]) => raid.pattern.test(String(text || '')));
+  return match ? match[0] : null;
+}
+
+/**
+ * Raid mode named in a piece of text
+ * @param {string} text - Message text
+ * @param {string} [raidType] - Raid the text is about
+ * @returns {string|null} - Mode other than 'normal' (e.g. 'challenge', 'hard'), null when the text doesn't tell
+ */
+function detectRaidMode(text, raidType = 'cox') {
+  const raid = RAIDS[raidType];
+  const match = raid && raid.modePatterns.find(({ pattern }) => pattern.test(String(text || '')));
+  return match ? match.mode : null;
+}
+
+/**
+ * Tombs of Amascut mode for a raid level
+ * @returns {string|null}
+ */
+function modeFromRaidLevel(raidLevel) {
+  if (raidLevel === null || raidLevel === undefined) return null;
+  if (raidLevel >= TOA_EXPERT_LEVEL) return 'expert';
+  return raidLevel >= TOA_NORMAL_LEVEL ? 'normal' : 'entry';
+}
+
+module.exports = {
+  RAIDS,
+  detectRaidType,
+  detectRaidMode,
+  modeFromRaidLevel,
+};
@@ -0,0 +1,55 @@
+/**
+ * Tombs of Amascut drop catalog
+ * Same entry layout as coxItems.js
+ */
+
+module.exports = [
+  {
+    id: 26219,
+    name: "Osmumten's fang",
+    aliases: ['osmumtens fang'],
+    category: 'purple',
+  },
+  {
+    id: 25975,
+    name: 'Lightbearer',
+    aliases: [],
+    category: 'purple',
+  },
+  {
+    id: 25985,
+    name: "Elidinis' ward",
+    aliases: ['elidinis ward'],
+    category: 'purple',
+  },
+  {
+    id: 27226,
+    name: 'Masori mask',
+    aliases: [],
+    category: 'purple',
+  },
+  {
+    id: 27229,
+    name: 'Masori body',
+    aliases: [],
+    category: 'purple',
+  },
+  {
+    id: 27232,
+    name: 'Masori chaps',
+    aliases: [],
+    category: 'purple',
+  },
+  {
+    id: 27277,
+    name: "Tumeken's shadow",
+    aliases: ["tumeken's shadow (uncharged)", 'tumekens shadow'],
+    category: 'purple',
+  },
+  {
+    id: 27352,
+    name: "Tumeken's guardian",
+    aliases: ['tumekens guardian'],
+    category: 'pet',
+  },
+];
@@ -0,0 +1,16 @@
+/**
+ * Tombs of Amascut room catalog
+ * Same entry layout as coxRooms.js; kind is 'path' (the puzzle room of a path) or 'boss'
+ */
+
+module.exports = [
+  { name: 'Path of Scabaras', aliases: ['Scabaras'], kind: 'path' },
+  { name: 'Kephri', aliases: [], kind: 'boss' },
+  { name: 'Path of Het', aliases: ['Het'], kind: 'path' },
+  { name: 'Akkha', aliases: [], kind: 'boss' },
+  { name: 'Path of Crondis', aliases: ['Crondis'], kind: 'path' },
+  { name: 'Zebak', aliases: [], kind: 'boss' },
+  { name: 'Path of Apmeken', aliases: ['Apmeken'], kind: 'path' },
+  { name: 'Ba-Ba', aliases: ['Baba'], kind: 'boss' },
+  { name: 'Wardens', aliases: ['Tumeken\'s Warden', 'Elidinis\' Warden'], kind: 'boss' },
+];
@@ -0,0 +1,76 @@
+/**
+ * Theatre of Blood drop catalog
+ * Same entry layout as coxItems.js; modeOnly 'hard' marks drops only found in Hard Mode
+ */
+
+module.exports = [
+  {
+    id: 22477,
+    name: 'Avernic defender hilt',
+    aliases: ['avernic hilt'],
+    category: 'purple',
+  },
+  {
+    id: 22324,
+    name: 'Ghrazi rapier',
+    aliases: [],
+    category: 'purple',
+  },
+  {
+    id: 22481,
+    name: 'Sanguinesti staff',
+    aliases: ['sanguinesti staff (uncharged)', 'sang staff'],
+    category: 'purple',
+  },
+  {
+    id: 22326,
+    name: 'Justiciar faceguard',
+    aliases: [],
+    category: 'purple',
+  },
+  {
+    id: 22327,
+    name: 'Justiciar chestguard',
+    aliases: [],
+    category: 'purple',
+  },
+  {
+    id: 22328,
+    name: 'Justiciar legguards',
+    aliases: [],
+    category: 'purple',
+  },
+  {
+    id: 22486,
+    name: 'Scythe of vitur',
+    aliases: ['scythe of vitur (uncharged)'],
+    category: 'purple',
+  },
+  {
+    id: 22473,
+    name: "Lil' zik",
+    aliases: ['lil zik'],
+    category: 'pet',
+  },
+  {
+    id: 25746,
+    name: 'Sanguine dust',
+    aliases: [],
+    category: 'cosmetic',
+    modeOnly: 'hard',
+  },
+  {
+    id: 25742,
+    name: 'Holy ornament kit',
+    aliases: [],
+    category: 'cosmetic',
+    modeOnly: 'hard',
+  },
+  {
+    id: 25744,
+    name: 'Sanguine ornament kit',
+    aliases: [],
+    category: 'cosmetic',
+    modeOnly: 'hard',
+  },
+];
@@ -0,0 +1,13 @@
+/**
+ * Theatre of Blood room catalog
+ * Same entry layout as coxRooms.js; every room is a boss
+ */
+
+module.exports = [
+  { name: 'Maiden of Sugadinti', aliases: ['Maiden'], kind: 'boss' },
+  { name: 'Pestilent Bloat', aliases: ['Bloat'], kind: 'boss' },
+  { name: 'Nylocas', aliases: ['Nylocas Vasilias', 'Nylos'], kind: 'boss' },
+  { name: 'Sotetseg', aliases: [], kind: 'boss' },
+  { name: 'Xarpus', aliases: [], kind: 'boss' },
+  { name: 'Verzik Vitur', aliases: ['Verzik'], kind: 'boss' },
+];
@@ -0,0 +1,60 @@
+/**
+ * !backfill - replay channel history the bot missed, e.g. raids finished while it was down
+ */
+
+const { backfillChannel } = require('../services/backfill');
+
+const UNITS = { m: 60000, h: 3600000, d: 86400000 };
+
+const USAGE = [
+  '<from> [to] - replay the messages posted between two times (UTC, e.g. 2026-10-18T20:00) or since a while ago (e.g. 6h, 2d); [to] defaults to now',
+];
+
+/**
+ * Time given as a UTC date/time or as how long ago ("90m", "6h", "2d")
+ * @returns {number} - ms
+ */
+function parseTime(text, now) {
+  const ago = String(text).match(/^(\d+)([mhd])$/i);
+  if (ago) {
+    return now - parseInt(ago[1], 10) * UNITS[ago[2].toLowerCase()];
+  }
+
+  // Date-times without a zone are UTC, like bare dates
+  const time = Date.parse(/T\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text) ? `${text}Z` : text);
+  if (Number.isNaN(time)) {
+    throw new Error(`Unrecognised time "${text}" - use e.g. 2026-10-18T20:00 or 6h`);
+  }
+  return time;
+}
+
+async function run([fromText, toText], message) {
+  if (!fromText) {
+    throw new Error(`Usage: ${USAGE[0]}`);
+  }
+
+  const now = Date.now();
+  const from = parseTime(fromText, now);
+  const to = Math.min(toText ? parseTime(toText, now) : now, now);
+  if (from >= to) {
+    throw new Error('The start of the range must be before its end');
+  }
+
+  await message.reply(`⏳ Backfilling ${new Date(from).toISOString()} to ${new Date(to).toISOString()} - new messages wait until it is done`);
+  const result = await backfillChannel(message.channel, { from, to });
+
+  const lines = [
+    `✅ Replayed ${result.replayed} of ${result.fetched} message(s) (${result.processed} already processed)`,
+    `• ${result.written} raid(s) written, ${result.known} already logged`,
+  ];
+  if (result.truncated) {
+    lines.push(`⚠️ The range holds more messages than one backfill replays - only the last ${result.fetched} were fetched; backfill the earlier part separately`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  description: 'Replay channel history the bot missed',
+  usage: USAGE,
+  run,
+};
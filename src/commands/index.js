@@ -0,0 +1,93 @@
+/**
+ * Bot commands typed in the monitored channel, e.g. `!player alt "Hyperr Alt" "H y p e r r"`
+ * Only members with the Manage Server permission can run them.
+ */
+
+const { PermissionFlagsBits } = require('discord.js');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const MAX_REPLY_LENGTH = 2000; // Discord's message length limit
+
+// Command name -> handler module ({ description, usage, run(args, message) -> reply text })
+const COMMANDS = {
+  player: require('./players'),
+  unparsed: require('./unparsed'),
+  kc: require('./killCounts'),
+  review: require('./review'),
+  backfill: require('./backfill'),
+};
+
+/**
+ * Split command arguments on spaces, keeping "quoted names" together
+ */
+function tokenize(text) {
+  const tokens = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    tokens.push(match[1] !== undefined ? match[1] : match[2]);
+  }
+  return tokens;
+}
+
+/**
+ * Check whether a message is a bot command
+ */
+function isCommand(message) {
+  return !message.webhookId && typeof message.content === 'string' &&
+    message.content.startsWith(config.discord.commandPrefix);
+}
+
+function helpText() {
+  const prefix = config.discord.commandPrefix;
+  return Object.entries(COMMANDS)
+    .map(([name, command]) => {
+      const lines = command.usage.map((line) => {
+        const [syntax, description] = line.split(' - ');
+        return `\`${prefix}${name} ${syntax}\` - ${description}`;
+      });
+      return `**${prefix}${name}** - ${command.description}\n${lines.join('\n')}`;
+    })
+    .join('\n\n');
+}
+
+/**
+ * Run a bot command and reply with its result
+ */
+async function handleCommand(message) {
+  const [name, ...args] = tokenize(message.content.slice(config.discord.commandPrefix.length));
+  const command = COMMANDS[(name || '').toLowerCase()];
+
+  if (!command) {
+    if ((name || '').toLowerCase() === 'help') {
+      await message.reply(helpText());
+    }
+    return;
+  }
+
+  if (!message.member || !message.member.permissions.has(PermissionFlagsBits.ManageGuild)) {
+    await message.reply('❌ You need the Manage Server permission to use this command.');
+    return;
+  }
+
+  logger.info(`🛠️  Command from ${message.author.username}: ${message.content}`);
+
+  let reply;
+  try {
+    reply = await command.run(args, message);
+  } catch (error) {
+    logger.warn(`Command failed: ${error.message}`);
+    reply = `❌ ${error.message}`;
+  }
+
+  if (reply.length > MAX_REPLY_LENGTH) {
+    reply = `${reply.slice(0, MAX_REPLY_LENGTH - 3)}...`;
+  }
+  await message.reply(reply);
+}
+
+module.exports = {
+  isCommand,
+  handleCommand,
+};
@@ -0,0 +1,60 @@
+/**
+ * !kc - look up players' raid kill counts and the raids the tracker missed
+ */
+
+const { getPlayerKillCounts, listGaps } = require('../services/killCountStore');
+const { currentName } = require('../services/playerRegistry');
+const { RAIDS } = require('../catalog');
+const { formatMode } = require('../utils/raidFormat');
+
+const DEFAULT_COUNT = 5;
+const MAX_COUNT = 20;
+
+const USAGE = [
+  'player "<RSN>" - show the latest kill counts of a player',
+  `gaps [count] - show the most recent kill count gaps, i.e. missed raids (default ${DEFAULT_COUNT})`,
+];
+
+function describeRaid(entry) {
+  return `${RAIDS[entry.raidType].shortName} ${formatMode(entry)}`;
+}
+
+async function run([action, ...args]) {
+  switch ((action || '').toLowerCase()) {
+    case 'player': {
+      if (args.length !== 1) {
+        throw new Error('Usage: player "<RSN>"');
+      }
+      const name = currentName(args[0]);
+      const entries = getPlayerKillCounts(name);
+      if (entries.length === 0) {
+        return `ℹ️ No kill counts recorded for ${name}`;
+      }
+      const lines = entries.map(entry =>
+        `• ${describeRaid(entry)}: ${entry.killCount}${entry.missedRaids ? ` (${entry.missedRaids} missed)` : ''}`
+      );
+      return `**Kill counts of ${name}**\n${lines.join('\n')}`;
+    }
+
+    case 'gaps': {
+      const limit = Math.min(parseInt(args[0], 10) || DEFAULT_COUNT, MAX_COUNT);
+      const gaps = listGaps(limit);
+      if (gaps.length === 0) {
+        return 'ℹ️ No missed raids detected';
+      }
+      const lines = gaps.map(gap =>
+        `• ${gap.detectedAt} ${gap.player} - ${describeRaid(gap)} ${gap.from} → ${gap.to} (${gap.missed} missed)`
+      );
+      return `**Kill count gaps** (latest ${gaps.length})\n${lines.join('\n')}`;
+    }
+
+    default:
+      throw new Error(`Unknown action. Usage:\n${USAGE.map(line => `• ${line}`).join('\n')}`);
+  }
+}
+
+module.exports = {
+  description: 'Look up raid kill counts and missed raids',
+  usage: USAGE,
+  run,
+};
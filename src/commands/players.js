@@ -0,0 +1,94 @@
+/**
+ * !player - manage the player registry (alts, accounts excluded from stats and name changes)
+ */
+
+const playerRegistry = require('../services/playerRegistry');
+
+const USAGE = [
+  'alt "<alt RSN>" "<main RSN>" - credit an alt to its main',
+  'main "<RSN>" - stop treating an account as an alt',
+  'exclude "<RSN>" - leave an account out of raids and stats',
+  'include "<RSN>" - record an excluded account again',
+  'list - show all registered accounts',
+  'rename "<old RSN>" "<new RSN>" - record a name change, keeping the player\'s stats together',
+  'history "<RSN>" - show the names a player has used',
+];
+
+function describeAccount(account) {
+  const details = [];
+  if (account.main) {
+    details.push(`alt of ${account.main}`);
+  }
+  if (account.excludeFromStats) {
+    details.push('excluded from stats');
+  }
+  return `• ${account.rsn} - ${details.join(', ')}`;
+}
+
+async function run([action, ...names]) {
+  switch ((action || '').toLowerCase()) {
+    case 'alt': {
+      if (names.length !== 2) {
+        throw new Error('Usage: alt "<alt RSN>" "<main RSN>"');
+      }
+      const account = playerRegistry.setMain(names[0], names[1]);
+      return `✅ ${account.rsn} is now credited to ${account.main}`;
+    }
+
+    case 'main': {
+      if (names.length !== 1) {
+        throw new Error('Usage: main "<RSN>"');
+      }
+      return playerRegistry.clearMain(names[0])
+        ? `✅ ${names[0]} is no longer treated as an alt`
+        : `ℹ️ ${names[0]} was not registered as an alt`;
+    }
+
+    case 'exclude':
+    case 'include': {
+      if (names.length !== 1) {
+        throw new Error(`Usage: ${action.toLowerCase()} "<RSN>"`);
+      }
+      const excluded = action.toLowerCase() === 'exclude';
+      playerRegistry.setExcluded(names[0], excluded);
+      return excluded
+        ? `✅ ${names[0]} will be left out of raids and stats`
+        : `✅ ${names[0]} will be recorded again`;
+    }
+
+    case 'list': {
+      const accounts = playerRegistry.listAccounts();
+      if (accounts.length === 0) {
+        return 'ℹ️ The player registry is empty';
+      }
+      return `**Player registry** (${accounts.length})\n${accounts.map(describeAccount).join('\n')}`;
+    }
+
+    case 'rename': {
+      if (names.length !== 2) {
+        throw new Error('Usage: rename "<old RSN>" "<new RSN>"');
+      }
+      const rename = playerRegistry.recordRename(names[0], names[1]);
+      return `✅ ${rename.from} is now recorded as ${rename.to}`;
+    }
+
+    case 'history': {
+      if (names.length !== 1) {
+        throw new Error('Usage: history "<RSN>"');
+      }
+      const history = playerRegistry.getNameHistory(names[0]);
+      return history.length > 1
+        ? `**Name history of ${history[history.length - 1]}**\n${history.join(' → ')}`
+        : `ℹ️ No name changes recorded for ${history[0]}`;
+    }
+
+    default:
+      throw new Error(`Unknown action. Usage:\n${USAGE.map(line => `• ${line}`).join('\n')}`);
+  }
+}
+
+module.exports = {
+  description: 'Manage alts, accounts excluded from stats and name changes',
+  usage: USAGE,
+  run,
+};
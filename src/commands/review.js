@@ -0,0 +1,64 @@
+/**
+ * !review - resolve messages that could belong to several raids (e.g. two teams finishing at once)
+ */
+
+const { listHeldMessages, assignHeldMessage, discardHeldMessage } = require('../services/raidTracker');
+const { RAIDS } = require('../catalog');
+const { formatMode } = require('../utils/raidFormat');
+
+const USAGE = [
+  'list - show the held messages and the raids each could belong to',
+  'assign <id> <raid> - apply a held message to one of its raids (by number in the list)',
+  'discard <id> - drop a held message',
+];
+
+function describeRaid(raid) {
+  const details = [
+    `${RAIDS[raid.raidType].shortName} ${formatMode(raid)}`,
+    raid.totalPoints !== null && raid.totalPoints !== undefined ? `${raid.totalPoints} points` : null,
+    raid.completionTime || null,
+  ].filter(detail => detail);
+  const players = raid.players.map(player => player.name).join(', ') || 'no players yet';
+  return `${details.join(', ')} - ${players}`;
+}
+
+function describeHeld(held) {
+  const raids = held.candidates.map((raid, index) => `  ${index + 1}. ${describeRaid(raid)}`).join('\n');
+  return `• \`${held.id}\` ${held.description} (held ${held.heldAt})\n  ↳ ${held.reason}\n${raids}`;
+}
+
+async function run([action, id, choice]) {
+  switch ((action || 'list').toLowerCase()) {
+    case 'list': {
+      const held = listHeldMessages();
+      if (held.length === 0) {
+        return 'ℹ️ No messages waiting for review';
+      }
+      return `**Held messages** (${held.length})\n${held.map(describeHeld).join('\n')}`;
+    }
+
+    case 'assign': {
+      const position = parseInt(choice, 10);
+      if (!id || !position) {
+        throw new Error('Usage: assign <id> <raid>');
+      }
+      const raid = await assignHeldMessage(id, position);
+      return `✅ Applied ${id} to the raid ${describeRaid(raid)}`;
+    }
+
+    case 'discard':
+      if (!id) {
+        throw new Error('Usage: discard <id>');
+      }
+      return `✅ Discarded ${discardHeldMessage(id)}`;
+
+    default:
+      throw new Error(`Unknown action. Usage:\n${USAGE.map(line => `• ${line}`).join('\n')}`);
+  }
+}
+
+module.exports = {
+  description: 'Resolve messages that could belong to several raids',
+  usage: USAGE,
+  run,
+};
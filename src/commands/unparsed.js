@@ -0,0 +1,48 @@
+/**
+ * !unparsed - review messages that produced no raid data
+ */
+
+const { listUnparsed, clearUnparsed } = require('../services/unparsedLog');
+
+const DEFAULT_COUNT = 5;
+const MAX_COUNT = 20;
+const MAX_PREVIEW_LENGTH = 200;
+
+const USAGE = [
+  `list [count] - show the most recent unparsed messages (default ${DEFAULT_COUNT})`,
+  'clear - empty the unparsed message log',
+];
+
+function describeEntry(entry) {
+  const preview = entry.content.length > MAX_PREVIEW_LENGTH
+    ? `${entry.content.slice(0, MAX_PREVIEW_LENGTH)}...`
+    : entry.content;
+  const reasons = entry.reasons.map(reason => `  ↳ ${reason}`).join('\n');
+  return `• ${entry.receivedAt} ${entry.author || 'unknown'} (${entry.source}${entry.partial ? ', partial match' : ''})\n` +
+    `\`\`\`${preview.replace(/`/g, "'") || ' '}\`\`\`\n${reasons}`;
+}
+
+async function run([action, count]) {
+  switch ((action || 'list').toLowerCase()) {
+    case 'list': {
+      const limit = Math.min(parseInt(count, 10) || DEFAULT_COUNT, MAX_COUNT);
+      const entries = listUnparsed(limit);
+      if (entries.length === 0) {
+        return 'ℹ️ No unparsed messages';
+      }
+      return `**Unparsed messages** (latest ${entries.length})\n${entries.map(describeEntry).join('\n')}`;
+    }
+
+    case 'clear':
+      return `✅ Removed ${clearUnparsed()} unparsed message(s)`;
+
+    default:
+      throw new Error(`Unknown action. Usage:\n${USAGE.map(line => `• ${line}`).join('\n')}`);
+  }
+}
+
+module.exports = {
+  description: 'Review messages that produced no raid data',
+  usage: USAGE,
+  run,
+};
@@ -5,6 +5,37 @@
 require('dotenv').config();
 const path = require('path');
 
+// Output sinks that can be enabled through OUTPUT_SINKS
+const AVAILABLE_SINKS = ['sheets', 'file', 'sqlite'];
+
+/**
+ * Parse a comma-separated environment variable into a list
+ */
+function parseList(value) {
+  return value
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .filter(item => item);
+}
+
+/**
+ * Get the enabled output sinks (defaults to Google Sheets only)
+ */
+function getOutputSinks() {
+  const sinks = parseList(process.env.OUTPUT_SINKS || 'sheets');
+
+  const unknown = sinks.filter(sink => !AVAILABLE_SINKS.includes(sink));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown output sinks: ${unknown.join(', ')} (available: ${AVAILABLE_SINKS.join(', ')})`);
+  }
+
+  if (sinks.length === 0) {
+    throw new Error('OUTPUT_SINKS must enable at least one sink');
+  }
+
+  return sinks;
+}
+
 /**
  * Validate required environment variables
  */
@@ -12,15 +43,19 @@ function validateConfig() {
   const required = [
     'DISCORD_BOT_TOKEN',
     'DISCORD_CHANNEL_ID',
-    'GOOGLE_SHEET_ID',
   ];
 
-  // Either GOOGLE_CREDENTIALS_PATH or GOOGLE_CREDENTIALS_JSON must be set
-  const hasCredentialsPath = !!process.env.GOOGLE_CREDENTIALS_PATH;
-  const hasCredentialsJson = !!process.env.GOOGLE_CREDENTIALS_JSON;
+  // Google settings are only needed when the Sheets sink is enabled
+  if (getOutputSinks().includes('sheets')) {
+    required.push('GOOGLE_SHEET_ID');
 
-  if (!hasCredentialsPath && !hasCredentialsJson) {
-    throw new Error('Either GOOGLE_CREDENTIALS_PATH or GOOGLE_CREDENTIALS_JSON must be set');
+    // Either GOOGLE_CREDENTIALS_PATH or GOOGLE_CREDENTIALS_JSON must be set
+    const hasCredentialsPath = !!process.env.GOOGLE_CREDENTIALS_PATH;
+    const hasCredentialsJson = !!process.env.GOOGLE_CREDENTIALS_JSON;
+
+    if (!hasCredentialsPath && !hasCredentialsJson) {
+      throw new Error('Either GOOGLE_CREDENTIALS_PATH or GOOGLE_CREDENTIALS_JSON must be set');
+    }
   }
 
   const missing = required.filter(key => !process.env[key]);
@@ -34,6 +69,11 @@ function validateConfig() {
  * Get Google credentials - either from file path or JSON environment variable
  */
 function getGoogleCredentials() {
+  // Not configured (Sheets sink disabled)
+  if (!process.env.GOOGLE_CREDENTIALS_JSON && !process.env.GOOGLE_CREDENTIALS_PATH) {
+    return null;
+  }
+
   // If JSON is provided directly (for Railway/cloud deployment)
   if (process.env.GOOGLE_CREDENTIALS_JSON) {
     try {
@@ -48,6 +88,24 @@ function getGoogleCredentials() {
   return credentialsPath;
 }
 
+/**
+ * Get the file sink settings
+ * FILE_SINK_FORMAT is "jsonl" (default) or "csv"; FILE_SINK_PATH defaults to raids.<format> in the data dir
+ */
+function getFileSinkConfig(dataDir) {
+  const format = (process.env.FILE_SINK_FORMAT || 'jsonl').toLowerCase();
+
+  if (!['jsonl', 'csv'].includes(format)) {
+    throw new Error(`Invalid FILE_SINK_FORMAT "${format}" (expected jsonl or csv)`);
+  }
+
+  const filePath = process.env.FILE_SINK_PATH
+    ? path.resolve(process.cwd(), process.env.FILE_SINK_PATH)
+    : path.join(dataDir, `raids.${format}`);
+
+  return { format, path: filePath };
+}
+
 /**
  * Load and validate configuration
  */
@@ -55,17 +113,95 @@ function loadConfig() {
   validateConfig();
 
   const googleCredentials = getGoogleCredentials();
+  const dataDir = path.resolve(process.cwd(), process.env.DATA_DIR || './data');
+  const outputSinks = getOutputSinks();
 
   return {
     discord: {
       token: process.env.DISCORD_BOT_TOKEN,
       channelId: process.env.DISCORD_CHANNEL_ID,
+      // Prefix of the bot commands (e.g. "!player list")
+      commandPrefix: process.env.COMMAND_PREFIX || '!',
+      // Post a summary of every finalized raid (to ANNOUNCE_CHANNEL_ID, or the monitored channel)
+      announceRaids: process.env.ANNOUNCE_RAIDS === 'true',
+      announceChannelId: process.env.ANNOUNCE_CHANNEL_ID || process.env.DISCORD_CHANNEL_ID,
+    },
+    raids: {
+      // How long a complete raid still accepts late messages (other members, loot, pets) before it is finalized
+      settleMs: parseInt(process.env.RAID_SETTLE_MS || '120000', 10),
+      // How long a raid that never completes (e.g. its duration message was lost) is kept before it is finalized
+      timeoutMs: parseInt(process.env.RAID_TIMEOUT_MS || '300000', 10),
+      // How long a message that could belong to several raids waits for !review before it is dropped
+      reviewTimeoutMs: parseInt(process.env.REVIEW_TIMEOUT_MS || '1800000', 10),
     },
     google: {
       sheetId: process.env.GOOGLE_SHEET_ID,
       // Can be either a file path (string) or parsed JSON object
       credentials: googleCredentials,
       serviceAccountEmail: process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
+      // Sheets API requests allowed per minute (Google's default per-user quota is 60)
+      requestsPerMinute: parseInt(process.env.SHEETS_REQUESTS_PER_MINUTE || '60', 10),
+      // Row updates are collected for this long and sent as one batch request
+      writeDelay: parseInt(process.env.SHEETS_WRITE_DELAY_MS || '2000', 10),
+      // Upper bound on how long a change can wait while updates keep arriving
+      writeMaxWait: parseInt(process.env.SHEETS_WRITE_MAX_WAIT_MS || '10000', 10),
+    },
+    storage: {
+      // Directory for local state files (raid correlation state, etc.)
+      dataDir,
+    },
+    players: {
+      // Alt -> main mappings and accounts excluded from stats
+      registryPath: process.env.PLAYER_REGISTRY_PATH
+        ? path.resolve(process.cwd(), process.env.PLAYER_REGISTRY_PATH)
+        : path.join(dataDir, 'players.json'),
+    },
+    prices: {
+      // Item values used when a loot message doesn't give one (re-read whenever the file changes)
+      path: process.env.PRICE_TABLE_PATH
+        ? path.resolve(process.cwd(), process.env.PRICE_TABLE_PATH)
+        : path.join(dataDir, 'prices.json'),
+    },
+    parser: {
+      // Custom parser rules, merged over the built-in ones (ignored if the file doesn't exist)
+      rulesPath: path.resolve(process.cwd(), process.env.PARSER_RULES_PATH || './parser-rules.json'),
+    },
+    unparsed: {
+      // Messages that produced no raid data, kept for review with !unparsed
+      path: process.env.UNPARSED_LOG_PATH
+        ? path.resolve(process.cwd(), process.env.UNPARSED_LOG_PATH)
+        : path.join(dataDir, 'unparsed.jsonl'),
+      maxEntries: parseInt(process.env.UNPARSED_MAX_ENTRIES || '500', 10),
+      // Also append them to an "Unparsed" tab (needs the Sheets sink)
+      sheet: process.env.UNPARSED_SHEET === 'true' && outputSinks.includes('sheets'),
+    },
+    ledger: {
+      // Discord message IDs already processed, so a message is never applied twice
+      path: process.env.LEDGER_PATH
+        ? path.resolve(process.cwd(), process.env.LEDGER_PATH)
+        : path.join(dataDir, 'processed-messages.jsonl'),
+      maxEntries: parseInt(process.env.LEDGER_MAX_ENTRIES || '20000', 10),
+      // The same content posted by several webhooks within this window is applied once
+      duplicateWindowMs: parseInt(process.env.DUPLICATE_WINDOW_MS || '600000', 10),
+    },
+    reconcile: {
+      // How many of the most recent sheet rows to read back on startup
+      rows: parseInt(process.env.RECONCILE_ROWS || '10', 10),
+    },
+    backfill: {
+      // How many of the most recent rows of every raid tab a backfill checks for raids already logged
+      rows: parseInt(process.env.BACKFILL_ROWS || '500', 10),
+      // Most messages one backfill replays
+      maxMessages: parseInt(process.env.BACKFILL_MAX_MESSAGES || '5000', 10),
+    },
+    output: {
+      sinks: outputSinks,
+      file: getFileSinkConfig(dataDir),
+      sqlite: {
+        path: process.env.SQLITE_PATH
+          ? path.resolve(process.cwd(), process.env.SQLITE_PATH)
+          : path.join(dataDir, 'raids.db'),
+      },
     },
     logging: {
       level: process.env.LOG_LEVEL || 'info',
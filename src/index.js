@@ -2,9 +2,20 @@
  * Discord bot for tracking Old School RuneScape Chambers of Xeric raid data
  */
 
-const { Client, GatewayIntentBits } = require('discord.js');
-const { parseRaidNotification } = require('./parsers/raidParser');
-const { appendToSheet } = require('./services/googleSheets');
+const { Client, GatewayIntentBits, Partials } = require('discord.js');
+const { loadRules } = require('./parsers/ruleRegistry');
+const { isCommand, handleCommand } = require('./commands');
+const {
+  appendToSheet,
+  retractMessage,
+  replaceMessage,
+  reconcileRecentRaids,
+  startFinalizationSweep,
+} = require('./services/raidTracker');
+const { startRaidAnnouncements } = require('./services/raidAnnouncer');
+const { parseMessage } = require('./services/messageParser');
+const { isProcessed, recordMessage } = require('./services/messageLedger');
+const { initSinks, closeSinks } = require('./sinks');
 const config = require('./config');
 const logger = require('./utils/logger');
 
@@ -15,6 +26,8 @@ const client = new Client({
     GatewayIntentBits.GuildMessages,
     GatewayIntentBits.MessageContent,
   ],
+  // Edits and deletes of messages from before the bot started arrive as partial messages
+  partials: [Partials.Message],
 });
 
 // Track reconnection attempts
@@ -22,7 +35,7 @@ let reconnectAttempts = 0;
 const MAX_RECONNECT_ATTEMPTS = 5;
 const RECONNECT_DELAY = 5000;
 
-// Message queue to handle concurrent messages sequentially
+// Message queue to handle concurrent messages (and their edits and deletes) sequentially
 const messageQueue = [];
 let isProcessingQueue = false;
 
@@ -34,9 +47,9 @@ async function processMessageQueue() {
   isProcessingQueue = true;
 
   while (messageQueue.length > 0) {
-    const { message, resolve, reject } = messageQueue.shift();
+    const { task, resolve, reject } = messageQueue.shift();
     try {
-      await processMessage(message);
+      await task();
       resolve();
     } catch (error) {
       reject(error);
@@ -46,9 +59,12 @@ async function processMessageQueue() {
   isProcessingQueue = false;
 }
 
-function queueMessage(message) {
+/**
+ * Run a task once every message event received before it is handled
+ */
+function queueTask(task) {
   return new Promise((resolve, reject) => {
-    messageQueue.push({ message, resolve, reject });
+    messageQueue.push({ task, resolve, reject });
     processMessageQueue();
   });
 }
@@ -67,70 +83,94 @@ client.once('ready', () => {
   }, 5 * 60 * 1000);
 });
 
+/**
+ * Check whether a message is one the bot reads: posted in the configured channel, not by the bot itself
+ */
+function isTrackedMessage(message) {
+  return message.author.id !== client.user.id && message.channel.id === config.discord.channelId;
+}
+
 // Process a single message
-async function processMessage(message) {
-  // Ignore messages from self
-  if (message.author.id === client.user.id) {
+// receivedAt - when the message event arrived; a backfill can keep messages waiting in the queue
+async function processMessage(message, receivedAt = Date.now()) {
+  if (!isTrackedMessage(message)) {
     return;
   }
 
-  // Only process messages from the configured channel
-  if (message.channel.id !== config.discord.channelId) {
+  // Bot commands from members (e.g. managing the player registry)
+  if (isCommand(message)) {
+    await handleCommand(message);
     return;
   }
 
-  // Ignore old messages (more than 5 minutes old)
+  // Ignore messages that were already old (more than 5 minutes) when they arrived
   // This prevents duplicate processing if Discord replays messages on reconnect
-  const messageAge = Date.now() - message.createdTimestamp;
+  const messageAge = receivedAt - message.createdTimestamp;
   const MAX_MESSAGE_AGE = 300000; // 5 minutes
   if (messageAge > MAX_MESSAGE_AGE) {
     logger.warn(`Ignoring old message from ${message.author.username} (${Math.round(messageAge / 1000)}s old)`);
     return;
   }
 
-  const isWebhook = message.webhookId !== null;
-  const username = message.author.username;
-
-  // Collect all content sources (regular content + all embeds)
-  const contentSources = [];
-
-  if (message.content) {
-    contentSources.push(message.content);
+  // Discord can deliver a message again (e.g. replayed after a reconnect)
+  if (isProcessed(message.id)) {
+    logger.debug(`Skipping message ${message.id} - already processed`);
+    return;
   }
 
-  // Check all embeds for content
-  if (message.embeds && message.embeds.length > 0) {
-    for (const embed of message.embeds) {
-      if (embed.description) {
-        contentSources.push(embed.description);
-      }
-    }
+  // Data applied from this message, recorded in the ledger once every source is handled
+  const applied = [];
+  for (const data of await parseMessage(message)) {
+    // Correlate with recent raids and write to the output sinks
+    await appendToSheet(data);
+    logger.info(`💾 Successfully logged ${data.type} data`);
+    applied.push(data);
   }
 
-  // Skip if no content found
-  if (contentSources.length === 0) {
-    return;
-  }
+  recordMessage({ messageId: message.id, postedAt: message.createdTimestamp, parsed: applied });
+}
 
-  // Process each content source
-  for (const content of contentSources) {
-    logger.info('---');
-    logger.info(`📨 New message from ${isWebhook ? 'webhook' : 'user'}: ${username}`);
-    logger.info(`📝 Content: "${content}"`);
+/**
+ * What a message says - Discord also sends updates that change nothing the parser reads
+ * (e.g. a link preview being added)
+ */
+function messageSnapshot(message) {
+  return JSON.stringify([message.content, message.embeds]);
+}
 
-    const parsedData = parseRaidNotification(content, username);
+// Process an edit of a message - its earlier data is replaced with what it says now
+async function processEdit(oldMessage, message) {
+  if (message.partial) {
+    message = await message.fetch();
+  }
+  if (!isTrackedMessage(message) || isCommand(message)) {
+    return;
+  }
+  if (!oldMessage.partial && messageSnapshot(oldMessage) === messageSnapshot(message)) {
+    return;
+  }
 
-    if (!parsedData) {
-      logger.warn('⚠️  Message did not match any raid notification patterns');
-      continue;
-    }
+  // Messages that were never applied (e.g. too old when they arrived) stay ignored
+  if (!isProcessed(message.id)) {
+    logger.debug(`Ignoring edit of message ${message.id} - it was never processed`);
+    return;
+  }
 
-    logger.info(`✅ Parsed ${parsedData.type} notification:`, parsedData);
+  logger.info(`✏️  Message ${message.id} from ${message.author.username} was edited - replacing its data`);
+  const parsed = await parseMessage(message, { edited: true });
+  await replaceMessage(message.id, parsed);
+  recordMessage({ messageId: message.id, postedAt: message.createdTimestamp, parsed });
+}
 
-    // Log to Google Sheets
-    await appendToSheet(parsedData);
-    logger.info(`💾 Successfully logged ${parsedData.type} data to spreadsheet`);
+// Process a deleted message - everything it contributed is taken back
+async function processDelete(message) {
+  if (message.channelId !== config.discord.channelId || !isProcessed(message.id)) {
+    return;
   }
+
+  logger.info(`🗑️  Message ${message.id} was deleted - taking its data back`);
+  await retractMessage(message.id);
+  recordMessage({ messageId: message.id, postedAt: message.createdTimestamp, parsed: [] });
 }
 
 // Message handler - queues messages for sequential processing
@@ -139,13 +179,40 @@ client.on('messageCreate', async (message) => {
     // Debug logging - log ALL messages the bot sees
     logger.debug(`📬 Message received - Channel: ${message.channel.id}, Author: ${message.author.username} (ID: ${message.author.id}), Bot ID: ${client.user.id}`);
 
-    await queueMessage(message);
+    const receivedAt = Date.now();
+    await queueTask(() => processMessage(message, receivedAt));
   } catch (error) {
     logger.error('❌ Error processing message:', error);
     // Continue running despite errors
   }
 });
 
+client.on('messageUpdate', async (oldMessage, newMessage) => {
+  try {
+    await queueTask(() => processEdit(oldMessage, newMessage));
+  } catch (error) {
+    logger.error('❌ Error processing edited message:', error);
+  }
+});
+
+client.on('messageDelete', async (message) => {
+  try {
+    await queueTask(() => processDelete(message));
+  } catch (error) {
+    logger.error('❌ Error processing deleted message:', error);
+  }
+});
+
+client.on('messageDeleteBulk', async (messages) => {
+  for (const message of messages.values()) {
+    try {
+      await queueTask(() => processDelete(message));
+    } catch (error) {
+      logger.error('❌ Error processing deleted message:', error);
+    }
+  }
+});
+
 // Error handling
 client.on('error', (error) => {
   logger.error('Discord client error:', error);
@@ -186,17 +253,16 @@ function attemptReconnect() {
 }
 
 // Graceful shutdown
-process.on('SIGINT', () => {
-  logger.info('Received SIGINT, shutting down gracefully...');
+async function shutdown(signal) {
+  logger.info(`Received ${signal}, shutting down gracefully...`);
   client.destroy();
+  // Flush buffered writes (e.g. coalesced Sheets updates) before exiting
+  await closeSinks();
   process.exit(0);
-});
+}
 
-process.on('SIGTERM', () => {
-  logger.info('Received SIGTERM, shutting down gracefully...');
-  client.destroy();
-  process.exit(0);
-});
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // Unhandled rejection handler
 process.on('unhandledRejection', (error) => {
@@ -205,7 +271,24 @@ process.on('unhandledRejection', (error) => {
 
 // Start the bot
 logger.info('Starting OSRS CoX Tracker bot...');
-client.login(config.discord.token).catch((error) => {
-  logger.error('Failed to login:', error);
+
+// A broken custom rules file should stop the bot right away, not fail every message
+try {
+  const rules = loadRules(config.parser.rulesPath);
+  logger.info(`Loaded ${rules.length} parser rule(s)`);
+} catch (error) {
+  logger.error('Invalid parser rules:', error.message);
   process.exit(1);
-});
+}
+
+initSinks()
+  .then(() => reconcileRecentRaids())
+  .then(() => {
+    startFinalizationSweep(queueTask);
+    startRaidAnnouncements(client);
+    return client.login(config.discord.token);
+  })
+  .catch((error) => {
+    logger.error('Failed to login:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,308 @@
+/**
+ * Parser for notifications posted by the RuneLite Dink plugin
+ * Dink posts structured embeds (author, title, fields, thumbnail) and can attach its JSON payload,
+ * so these are read field by field instead of matching the text with regexes.
+ */
+
+const { findItemInText, getItemById, RAIDS, detectRaidType, detectRaidMode } = require('../catalog');
+const { parseRaidNotification } = require('./raidParser');
+const { normalizeTime, parseDurationMs, parseIsoDurationMs, formatDurationMs } = require('../utils/duration');
+const { cleanRsn } = require('../utils/rsn');
+const { parseGp } = require('../utils/gp');
+
+// Embed titles Dink uses for each notification type, for embeds posted without a JSON payload
+const TITLE_TYPES = [
+  { pattern: /loot/i, type: 'LOOT' },
+  { pattern: /chat/i, type: 'CHAT' },
+  { pattern: /death|died/i, type: 'DEATH' },
+  { pattern: /kill\s*count|boss\s*kill|\bkc\b/i, type: 'KILL_COUNT' },
+  { pattern: /\bpet\b/i, type: 'PET' },
+];
+
+/**
+ * Strip the markdown Dink wraps field values in ("```ldif\n46:43.80\n```", "**1**", links)
+ */
+function cleanFieldValue(value) {
+  return String(value || '')
+    .replace(/```[a-z]*\n?/gi, '')
+    .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+    .replace(/[*_`]/g, '')
+    .trim();
+}
+
+/**
+ * Value of the first embed field whose name matches
+ * @returns {string|null}
+ */
+function getField(embed, pattern) {
+  const field = (embed.fields || []).find(candidate => pattern.test(candidate.name || ''));
+  return field ? cleanFieldValue(field.value) : null;
+}
+
+function parseNumber(text) {
+  if (text === null || text === undefined) return null;
+  const match = String(text).match(/[\d,]+/);
+  return match ? parseInt(match[0].replace(/,/g, ''), 10) : null;
+}
+
+/**
+ * Item ID from a RuneLite item icon URL (".../cache/item/icon/20997.png")
+ */
+function itemIdFromThumbnail(embed) {
+  const url = embed.thumbnail && embed.thumbnail.url;
+  const match = url && url.match(/item\/icon\/(\d+)\.png/i);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Check whether an embed (or its attached payload) was posted by Dink
+ * @param {Object} embed - Discord embed
+ * @param {Object|null} payload - Parsed JSON payload attached to the message, if any
+ */
+function isDinkNotification(embed, payload = null) {
+  if (payload && payload.type && payload.extra) {
+    return true;
+  }
+  const footer = embed && embed.footer && embed.footer.text;
+  return Boolean(footer && /dink/i.test(footer));
+}
+
+/**
+ * Dink notification type ('LOOT', 'CHAT', 'DEATH', 'KILL_COUNT', ...)
+ */
+function getNotificationType(embed, payload) {
+  if (payload && payload.type) {
+    return String(payload.type).toUpperCase();
+  }
+  const title = (embed && embed.title) || '';
+  const match = TITLE_TYPES.find(({ pattern }) => pattern.test(title));
+  return match ? match.type : null;
+}
+
+function getPlayerName(embed, payload) {
+  if (payload && payload.playerName) {
+    return cleanRsn(payload.playerName);
+  }
+  return cleanRsn(embed && embed.author && embed.author.name);
+}
+
+/**
+ * Result of a notification that carries no raid data, with the reason why
+ */
+function rejection(reason) {
+  return { rejected: reason };
+}
+
+/**
+ * Loot notification -> 'loot' data, using the first catalog item in the drop
+ */
+function parseLoot(embed, extra, playerName) {
+  const source = extra.source || getField(embed, /^source$/i) || embed.description || '';
+  if (extra.source && !detectRaidType(extra.source)) {
+    return rejection(`loot from ${extra.source}, not a tracked raid`);
+  }
+
+  let item = null;
+  let quantity = 1;
+  let itemValue = null;
+
+  if (Array.isArray(extra.items)) {
+    for (const entry of extra.items) {
+      item = getItemById(entry.id) || findItemInText(entry.name);
+      if (item) {
+        quantity = entry.quantity || 1;
+        itemValue = entry.priceEach !== undefined ? entry.priceEach * quantity : null;
+        break;
+      }
+    }
+  } else {
+    item = getItemById(itemIdFromThumbnail(embed)) ||
+      findItemInText(getField(embed, /^item/i)) ||
+      findItemInText(embed.description);
+    quantity = parseNumber(getField(embed, /quantity/i)) || 1;
+    itemValue = parseGp(getField(embed, /value/i));
+  }
+
+  if (!item) {
+    return rejection('loot without a tracked item');
+  }
+  if (!playerName) {
+    return rejection('loot without a player name');
+  }
+
+  return {
+    timestamp: new Date().toISOString(),
+    type: 'loot',
+    playerName,
+    itemName: item.name,
+    itemId: item.id,
+    itemCategory: item.category,
+    itemValue,
+    quantity,
+    killCount: extra.killCount ?? parseNumber(getField(embed, /kill\s*count/i)),
+    raidType: item.raidType,
+    mode: item.modeOnly || detectRaidMode(source, item.raidType)
+  };
+}
+
+/**
+ * Kill count notification for a raid -> 'duration' data, or 'killcount' data when it has no time
+ */
+function parseKillCount(embed, extra, playerName) {
+  const boss = extra.boss || embed.description || '';
+  const raidType = detectRaidType(boss);
+  if (!raidType) {
+    return rejection(`kill count of ${boss || 'an unknown boss'}, not a tracked raid`);
+  }
+
+  const killCount = extra.count ?? parseNumber(getField(embed, /kill\s*count|^count/i));
+  const raidTimeMs = parseIsoDurationMs(extra.time) ??
+    parseDurationMs(getField(embed, /completion\s*time|^time|duration/i));
+  if (raidTimeMs === null) {
+    // Without a time only the player's kill count is left
+    if (killCount === null || !playerName) {
+      return rejection(`${RAIDS[raidType].name} kill count notification without a completion time or count`);
+    }
+    return {
+      timestamp: new Date().toISOString(),
+      type: 'killcount',
+      raidType,
+      mode: detectRaidMode(boss, raidType) || 'normal',
+      killCount,
+      playerName
+    };
+  }
+
+  const isNewPersonalBest = extra.isPersonalBest === true || /new\s+personal\s+best/i.test(embed.description || '');
+  const personalBestText = getField(embed, /personal\s*best/i);
+  const personalBestMs = parseIsoDurationMs(extra.personalBest) ??
+    parseDurationMs(personalBestText && normalizeTime(personalBestText)) ??
+    (isNewPersonalBest ? raidTimeMs : null);
+
+  return {
+    timestamp: new Date().toISOString(),
+    type: 'duration',
+    raidTime: formatDurationMs(raidTimeMs),
+    raidTimeMs,
+    olmTime: null,
+    olmTimeMs: null,
+    personalBest: personalBestMs !== null ? formatDurationMs(personalBestMs) : null,
+    personalBestMs,
+    isNewPersonalBest,
+    scale: null,
+    killCount,
+    raidType,
+    raidLevel: null,
+    mode: detectRaidMode(boss, raidType),
+    playerName
+  };
+}
+
+/**
+ * Pet notification -> 'pet' data
+ * Dink only knows the pet's name when the game broadcasts it; without one the tracker works it out
+ */
+function parsePet(embed, extra, playerName) {
+  if (!playerName) {
+    return rejection('pet without a player name');
+  }
+
+  const petName = extra.petName || getField(embed, /^pet/i);
+  const pet = petName ? findItemInText(petName) : null;
+  if (petName && (!pet || pet.category !== 'pet')) {
+    return rejection(`pet ${petName}, not from a tracked raid`);
+  }
+
+  return {
+    timestamp: new Date().toISOString(),
+    type: 'pet',
+    playerName,
+    itemName: pet ? pet.name : null,
+    itemId: pet ? pet.id : null,
+    raidType: pet ? pet.raidType : null,
+    duplicate: extra.duplicate === true || extra.previouslyOwned === true
+  };
+}
+
+/**
+ * Death notification -> 'death' data
+ */
+function parseDeath(embed, extra, playerName) {
+  if (!playerName) {
+    return rejection('death without a player name');
+  }
+
+  return {
+    timestamp: new Date().toISOString(),
+    type: 'death',
+    playerName,
+    killerName: extra.killerName || getField(embed, /killer/i),
+    valueLost: extra.valueLost ?? parseNumber(getField(embed, /value|lost/i)),
+    location: extra.location || null
+  };
+}
+
+/**
+ * Parse a notification into data, or a rejection saying why it carries no raid data
+ */
+function parseOrReject(embed, payload) {
+  const type = getNotificationType(embed, payload);
+  const extra = (payload && payload.extra) || {};
+  const playerName = getPlayerName(embed, payload);
+
+  switch (type) {
+    case 'LOOT':
+      return parseLoot(embed, extra, playerName);
+    case 'KILL_COUNT':
+      return parseKillCount(embed, extra, playerName);
+    case 'DEATH':
+      return parseDeath(embed, extra, playerName);
+    case 'PET':
+      return parsePet(embed, extra, playerName);
+    case 'CHAT': {
+      // Chat notifications relay a game message - the points and duration messages arrive this way
+      const chatMessage = extra.message || embed.description;
+      if (!chatMessage) {
+        return rejection('chat notification without a message');
+      }
+      return parseRaidNotification(chatMessage, playerName) ||
+        rejection(`chat message did not match any parser rule: "${chatMessage}"`);
+    }
+    default:
+      return rejection(type ? `unsupported notification type ${type}` : 'unknown notification type');
+  }
+}
+
+/**
+ * Parse a Dink notification into the same data objects the text parser produces
+ * @param {Object} embed - Discord embed posted by Dink
+ * @param {Object|null} payload - Parsed JSON payload attached to the message, if any
+ * @returns {Object|null} - Parsed data or null if the notification has no raid data
+ */
+function parseDinkNotification(embed, payload = null) {
+  try {
+    const result = parseOrReject(embed, payload);
+    return result.rejected ? null : result;
+  } catch (error) {
+    console.error('Error parsing Dink notification:', error);
+    return null;
+  }
+}
+
+/**
+ * Explain why a Dink notification produced no data
+ * @returns {string|null} - The reason, or null if the notification parses
+ */
+function explainDinkRejection(embed, payload = null) {
+  try {
+    return parseOrReject(embed, payload).rejected || null;
+  } catch (error) {
+    return `parser error: ${error.message}`;
+  }
+}
+
+module.exports = {
+  isDinkNotification,
+  parseDinkNotification,
+  explainDinkRejection,
+};
@@ -0,0 +1,232 @@
+/**
+ * Builders turning the captures of a parser rule into parsed data objects
+ *
+ * Rules (see defaultRules.json) only decide what text is captured; the builder for the rule's
+ * output type validates and normalises the captures. A builder returns null to reject a match,
+ * in which case the next pattern or rule is tried.
+ */
+
+const { findItemInText, findRoom, detectRaidType, detectRaidMode, modeFromRaidLevel } = require('../catalog');
+const { normalizeTime, parseDurationMs } = require('../utils/duration');
+const { cleanRsn } = require('../utils/rsn');
+const { parseGp } = require('../utils/gp');
+
+function parseNumber(text) {
+  if (text === undefined || text === null) return null;
+  const value = parseInt(String(text).replace(/,/g, ''), 10);
+  return Number.isNaN(value) ? null : value;
+}
+
+/**
+ * Normalised time string and milliseconds for an optional time capture
+ */
+function parseTime(text) {
+  if (!text) return { time: null, ms: null };
+  const time = normalizeTime(text);
+  return { time, ms: parseDurationMs(time) };
+}
+
+/**
+ * Raid completion - captures: totalPoints, personalPoints, player (defaults to the webhook username)
+ * Only Chambers of Xeric awards points
+ */
+function buildPoints(captures, { message, username }) {
+  const totalPoints = parseNumber(captures.totalPoints);
+  if (totalPoints === null) {
+    return null;
+  }
+
+  const data = {
+    timestamp: new Date().toISOString(),
+    type: 'points',
+    raidType: 'cox',
+    mode: detectRaidMode(message), // 'challenge' for CM, null if the message doesn't say
+    totalPoints,
+    raidTime: null,
+    players: [] // Array of {name, points}
+  };
+
+  const personalPoints = parseNumber(captures.personalPoints);
+  // Use player name from message if available, otherwise fall back to webhook username
+  const name = cleanRsn(captures.player) || cleanRsn(username);
+  if (personalPoints !== null && name) {
+    data.players.push({ name, points: personalPoints });
+  }
+
+  return data;
+}
+
+/**
+ * Raid duration - captures: raidTime, scale, olmTime, personalBest, newPersonalBest (present or not),
+ * raid (raid name, the message is about Chambers of Xeric if no raid is named), raidLevel (Tombs of
+ * Amascut invocation level), killCount (when the kill count message is part of the same message),
+ * player (defaults to the webhook username)
+ */
+function buildDuration(captures, { message, username }) {
+  if (!captures.raidTime) {
+    return null;
+  }
+
+  const raidType = detectRaidType(captures.raid) || detectRaidType(message) || 'cox';
+  const raidLevel = parseNumber(captures.raidLevel);
+
+  // Keep the full time string including milliseconds
+  const raidTime = captures.raidTime;
+  const raidTimeMs = parseDurationMs(raidTime);
+  const olm = parseTime(captures.olmTime);
+  const personalBest = parseTime(captures.personalBest);
+  const isNewPersonalBest = captures.newPersonalBest !== undefined;
+
+  return {
+    timestamp: new Date().toISOString(),
+    type: 'duration',
+    raidTime,
+    raidTimeMs,
+    olmTime: olm.time,
+    olmTimeMs: olm.ms,
+    // A new record reads "(new personal best)" instead of listing the old one - this raid is the record
+    personalBest: personalBest.time || (isNewPersonalBest ? raidTime : null),
+    personalBestMs: personalBest.ms ?? (isNewPersonalBest ? raidTimeMs : null),
+    isNewPersonalBest,
+    scale: captures.scale || null, // e.g., "11-15" or "24+"
+    raidType,
+    raidLevel,
+    // Tombs of Amascut messages may only give the raid level, which decides the mode
+    mode: detectRaidMode(message, raidType) || (raidType === 'toa' ? modeFromRaidLevel(raidLevel) : null),
+    killCount: parseNumber(captures.killCount),
+    playerName: cleanRsn(captures.player) || cleanRsn(username)
+  };
+}
+
+/**
+ * Kill count after a raid - captures: raid (raid name, including the mode), killCount,
+ * player (defaults to the webhook username)
+ * Each mode has its own count ("Chambers of Xeric Challenge Mode count is: 5")
+ */
+function buildKillCount(captures, { username }) {
+  const raidType = detectRaidType(captures.raid);
+  const killCount = parseNumber(captures.killCount);
+  const playerName = cleanRsn(captures.player) || cleanRsn(username);
+  if (!raidType || killCount === null || !playerName) {
+    return null;
+  }
+
+  return {
+    timestamp: new Date().toISOString(),
+    type: 'killcount',
+    raidType,
+    mode: detectRaidMode(captures.raid, raidType) || 'normal',
+    killCount,
+    playerName
+  };
+}
+
+/**
+ * Loot drop - captures: player, item, value ("1,200,000,000", "1.2b", "850m", "45k")
+ * Player and item may be captured the wrong way round; whichever names a catalog item is the item
+ */
+function buildLoot(captures) {
+  let player = cleanRsn(captures.player);
+  let item = findItemInText(captures.item);
+
+  if (!item) {
+    item = findItemInText(captures.player);
+    player = cleanRsn(captures.item);
+  }
+
+  // Neither side names a known item - this isn't the loot line
+  if (!item || !player) {
+    return null;
+  }
+
+  return {
+    timestamp: new Date().toISOString(),
+    type: 'loot',
+    playerName: player,
+    itemName: item.name, // Canonical catalog name, regardless of the spelling in the message
+    itemId: item.id,
+    itemCategory: item.category, // 'purple', 'pet' or 'cosmetic'
+    itemValue: parseGp(captures.value), // null when the message doesn't say - the price table fills it in
+    raidType: item.raidType, // Every catalog item drops from one raid only
+    mode: item.modeOnly || null // e.g. 'challenge' when the item only drops in Challenge Mode
+  };
+}
+
+/**
+ * Pet drop - captures: player (defaults to the webhook username), pet (pet name, if the message
+ * names it), raid, duplicate (present or not - the player already owned the pet)
+ * The game's own message names no pet; the tracker works it out from the player's raid
+ */
+function buildPet(captures, { username }) {
+  const playerName = cleanRsn(captures.player) || cleanRsn(username);
+  if (!playerName) {
+    return null;
+  }
+
+  let pet = null;
+  if (captures.pet) {
+    pet = findItemInText(captures.pet);
+    if (!pet || pet.category !== 'pet') {
+      return null; // A pet from somewhere else (e.g. a boss pet)
+    }
+  }
+
+  return {
+    timestamp: new Date().toISOString(),
+    type: 'pet',
+    playerName,
+    itemName: pet ? pet.name : null,
+    itemId: pet ? pet.id : null,
+    raidType: pet ? pet.raidType : detectRaidType(captures.raid),
+    duplicate: captures.duplicate !== undefined
+  };
+}
+
+/**
+ * Room completion - captures: room, duration, elapsed
+ */
+function buildSplit(captures, { message }) {
+  // "Combat room `Tekton`" / "Puzzle - Crabs" / "Wave 'The Maiden of Sugadinti' (Hard Mode)"
+  //   -> "Tekton" / "Crabs" / "The Maiden of Sugadinti"
+  const roomName = String(captures.room || '')
+    .replace(/^(?:combat\s+room|puzzle|wave)\s*[-:]?\s*/i, '')
+    .replace(/\((?:entry|story|normal|hard|expert)\s+mode\)/i, '')
+    .replace(/(^|\s)['"`*]+|['"`*]+(\s|$)/g, '$1$2')
+    .replace(/[`"*]/g, '')
+    .trim();
+  const room = findRoom(roomName);
+  if (!room) {
+    return null; // e.g. "your raid is complete!"
+  }
+
+  const duration = parseTime(captures.duration);
+  const elapsed = parseTime(captures.elapsed);
+
+  return {
+    timestamp: new Date().toISOString(),
+    type: 'split',
+    room: room.name,
+    roomKind: room.kind,
+    duration: duration.time, // Time spent in the room
+    durationMs: duration.ms,
+    elapsed: elapsed.time, // Raid timer when the room was completed
+    elapsedMs: elapsed.ms,
+    raidType: room.raidType,
+    mode: detectRaidMode(message, room.raidType)
+  };
+}
+
+// Output types a rule can produce
+const BUILDERS = {
+  points: buildPoints,
+  duration: buildDuration,
+  loot: buildLoot,
+  split: buildSplit,
+  killcount: buildKillCount,
+  pet: buildPet,
+};
+
+module.exports = {
+  BUILDERS,
+  detectRaidMode,
+};
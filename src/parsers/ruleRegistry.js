@@ -0,0 +1,264 @@
+/**
+ * Registry of data-driven parser rules
+ *
+ * Each rule is plain data:
+ *   - name: unique rule name (a custom rule with the name of a built-in rule replaces it)
+ *   - type: output type, one of the builders in ruleBuilders.js ('points', 'duration', 'loot', 'split',
+ *     'killcount', 'pet')
+ *   - priority: rules are tried from the highest priority down, the first one producing data wins
+ *   - pattern / patterns: regex(es) deciding whether the rule matches, with named captures for the fields
+ *   - flags: regex flags for every pattern of the rule (default "i")
+ *   - scope: 'message' (default) matches against the whole message, 'line' against each line
+ *   - skip: optional regex - messages (or lines) matching it are never tried
+ *   - extract: optional { field: regex or [regexes] } filled from the whole message,
+ *     using the named capture for the field, else the first group, else the whole match
+ *   - disabled: true turns a rule (typically a built-in one) off
+ *
+ * The built-in rules ship in defaultRules.json; a custom rules file is merged on top of them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { BUILDERS } = require('./ruleBuilders');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, 'defaultRules.json');
+const SCOPES = ['message', 'line'];
+
+let compiledRules = null;
+
+/**
+ * Read the rule list from a rules file ({ "rules": [...] } or a bare array)
+ */
+function readRulesFile(filePath) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read parser rules from ${filePath}: ${error.message}`);
+  }
+
+  const rules = Array.isArray(parsed) ? parsed : parsed.rules;
+  if (!Array.isArray(rules)) {
+    throw new Error(`Parser rules file ${filePath} must contain a "rules" array`);
+  }
+  return rules.map(rule => ({ ...rule, source: filePath }));
+}
+
+function compileRegex(text, flags, rule, what) {
+  try {
+    return new RegExp(text, flags);
+  } catch (error) {
+    throw new Error(`Parser rule "${rule.name}" (${rule.source}) has an invalid ${what}: ${error.message}`);
+  }
+}
+
+/**
+ * Validate a rule and compile its regexes
+ */
+function compileRule(rule) {
+  if (!rule.name) {
+    throw new Error(`Parser rule without a name in ${rule.source}`);
+  }
+  if (!BUILDERS[rule.type]) {
+    throw new Error(`Parser rule "${rule.name}" (${rule.source}) has unknown type "${rule.type}" (expected ${Object.keys(BUILDERS).join(', ')})`);
+  }
+
+  const scope = rule.scope || 'message';
+  if (!SCOPES.includes(scope)) {
+    throw new Error(`Parser rule "${rule.name}" (${rule.source}) has unknown scope "${scope}" (expected ${SCOPES.join(' or ')})`);
+  }
+
+  const patterns = rule.patterns || (rule.pattern ? [rule.pattern] : []);
+  if (patterns.length === 0) {
+    throw new Error(`Parser rule "${rule.name}" (${rule.source}) needs a pattern`);
+  }
+
+  // Global/sticky regexes keep state between matches, so those flags are dropped
+  const flags = (rule.flags ?? 'i').replace(/[gy]/g, '');
+  const extract = Object.entries(rule.extract || {}).map(([field, fieldPatterns]) => ({
+    field,
+    patterns: [].concat(fieldPatterns).map(text => compileRegex(text, flags, rule, `extract pattern for "${field}"`)),
+  }));
+
+  return {
+    name: rule.name,
+    type: rule.type,
+    priority: Number(rule.priority) || 0,
+    scope,
+    source: rule.source,
+    patterns: patterns.map(text => compileRegex(text, flags, rule, 'pattern')),
+    skip: rule.skip ? compileRegex(rule.skip, flags, rule, 'skip pattern') : null,
+    extract,
+  };
+}
+
+/**
+ * Load the built-in rules plus the rules of an optional custom rules file
+ * A missing custom file is not an error - the built-in rules are used on their own
+ * @param {string} [rulesPath] - Custom rules file
+ * @returns {Object[]} - Compiled rules, highest priority first
+ */
+function loadRules(rulesPath = null) {
+  const rulesByName = new Map();
+  for (const rule of readRulesFile(DEFAULT_RULES_FILE)) {
+    rulesByName.set(rule.name, rule);
+  }
+
+  if (rulesPath && fs.existsSync(rulesPath)) {
+    for (const rule of readRulesFile(rulesPath)) {
+      // Same name as a built-in rule: replace it (or just turn it off)
+      rulesByName.set(rule.name, rule);
+    }
+  }
+
+  compiledRules = [...rulesByName.values()]
+    .filter(rule => !rule.disabled)
+    .map(compileRule)
+    .sort((a, b) => b.priority - a.priority); // Array sort is stable - equal priorities keep file order
+
+  return compiledRules;
+}
+
+/**
+ * Compiled rules, loading the built-in ones if loadRules() wasn't called
+ */
+function getRules() {
+  return compiledRules || loadRules();
+}
+
+/**
+ * Collect the fields of a match: named captures of the pattern, then the extract patterns
+ * @param {string} target - Text the pattern matched: the whole message, or for line-scoped rules
+ *   the line - so each drop of a multi-drop message only gets its own value
+ */
+function collectCaptures(rule, match, target) {
+  const captures = {};
+  for (const [field, value] of Object.entries(match.groups || {})) {
+    if (value !== undefined) {
+      captures[field] = value;
+    }
+  }
+
+  for (const { field, patterns } of rule.extract) {
+    if (captures[field] !== undefined) {
+      continue;
+    }
+    for (const pattern of patterns) {
+      const extracted = target.match(pattern);
+      if (extracted) {
+        captures[field] = (extracted.groups && extracted.groups[field]) ?? extracted[1] ?? extracted[0];
+        break;
+      }
+    }
+  }
+
+  return captures;
+}
+
+/**
+ * Try one rule against a message
+ * @param {Function} [onAttempt] - Called with every pattern match and what the builder made of it
+ * @returns {Object|null} - Parsed data or null
+ */
+function applyRule(rule, message, context, onAttempt = () => {}) {
+  const targets = rule.scope === 'line'
+    ? message.split('\n').map(line => line.trim()).filter(line => line)
+    : [message];
+
+  for (const target of targets) {
+    if (rule.skip && rule.skip.test(target)) {
+      continue;
+    }
+
+    for (const pattern of rule.patterns) {
+      const match = target.match(pattern);
+      if (!match) {
+        continue;
+      }
+
+      const captures = collectCaptures(rule, match, target);
+      const data = BUILDERS[rule.type](captures, context);
+      onAttempt({ rule, target, captures, data });
+      if (data) {
+        return data;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a message with the first rule that produces data
+ * @param {string} message - The message content from webhook
+ * @param {string} username - Username from webhook
+ * @param {Object} [options] - { type } to only try rules of one output type
+ * @returns {Object|null} - Parsed data (with the name of the matching rule) or null
+ */
+function parseWithRules(message, username = null, { type = null } = {}) {
+  // Remove backticks and other markdown formatting first
+  const text = String(message || '').replace(/```/g, '').trim();
+  const context = { message: text, username };
+
+  for (const rule of getRules()) {
+    if (type && rule.type !== type) {
+      continue;
+    }
+
+    try {
+      const data = applyRule(rule, text, context);
+      if (data) {
+        return { ...data, rule: rule.name };
+      }
+    } catch (error) {
+      console.error(`Error applying parser rule "${rule.name}":`, error);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Run every rule against a message and report what each one did, for testing rules
+ * @returns {Array<{rule: Object, attempts: Array}>} - One entry per rule, highest priority first
+ */
+function explainMessage(message, username = null) {
+  const text = String(message || '').replace(/```/g, '').trim();
+  const context = { message: text, username };
+
+  return getRules().map(rule => {
+    const attempts = [];
+    applyRule(rule, text, context, attempt => attempts.push(attempt));
+    return { rule, attempts };
+  });
+}
+
+/**
+ * Summarise why no rule produced data for a message
+ * Rules whose pattern matched but whose captures were rejected are listed one by one -
+ * those usually mean the plugin changed its wording slightly
+ * @returns {{ partial: boolean, reasons: string[] }}
+ */
+function explainRejection(message, username = null) {
+  const reasons = [];
+
+  for (const { rule, attempts } of explainMessage(message, username)) {
+    for (const { target, captures } of attempts) {
+      const fields = Object.entries(captures).map(([field, value]) => `${field}="${value}"`).join(', ');
+      reasons.push(`rule "${rule.name}" matched "${target}" but rejected it (${fields || 'nothing captured'})`);
+    }
+  }
+
+  if (reasons.length === 0) {
+    return { partial: false, reasons: ['no parser rule matched'] };
+  }
+  return { partial: true, reasons };
+}
+
+module.exports = {
+  loadRules,
+  getRules,
+  parseWithRules,
+  explainMessage,
+  explainRejection,
+};
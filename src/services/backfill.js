@@ -0,0 +1,104 @@
+/**
+ * Backfill - replays channel history the bot missed (e.g. while it was down)
+ *
+ * Live messages that are more than 5 minutes old when they arrive are ignored, so raids finished
+ * during an outage are never logged. A backfill fetches the messages of the monitored channel
+ * posted in a time range and replays them, oldest first, through the parser and correlation as if
+ * each arrived at the time it was posted. Messages already processed (see messageLedger.js) are
+ * skipped, and raids the sheet already has are matched but not written again.
+ */
+
+const { SnowflakeUtil } = require('discord.js');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { parseMessage } = require('./messageParser');
+const { isProcessed, recordMessage } = require('./messageLedger');
+const { replayHistory } = require('./raidTracker');
+
+const FETCH_LIMIT = 100; // Most messages Discord returns per request
+
+/**
+ * Fetch the messages of a channel posted in a time range, oldest first
+ * Discord pages backwards from the end of the range; at most BACKFILL_MAX_MESSAGES are kept
+ * @returns {Promise<{ messages: Object[], truncated: boolean }>} - truncated when the range held more
+ */
+async function fetchHistory(channel, from, to) {
+  const messages = [];
+  let before = SnowflakeUtil.generate({ timestamp: to }).toString();
+
+  for (;;) {
+    const batch = [...(await channel.messages.fetch({ limit: FETCH_LIMIT, before })).values()]
+      .sort((a, b) => b.createdTimestamp - a.createdTimestamp);
+    if (batch.length === 0) {
+      break;
+    }
+
+    for (const message of batch) {
+      if (message.createdTimestamp < from) {
+        return { messages: messages.reverse(), truncated: false };
+      }
+      if (messages.length >= config.backfill.maxMessages) {
+        return { messages: messages.reverse(), truncated: true };
+      }
+      messages.push(message);
+    }
+
+    before = batch[batch.length - 1].id;
+    logger.debug(`Fetched ${messages.length} message(s) back to ${new Date(batch[batch.length - 1].createdTimestamp).toISOString()}`);
+  }
+
+  return { messages: messages.reverse(), truncated: false };
+}
+
+/**
+ * Check whether a message is one a backfill replays - not the bot's own replies or commands typed in the channel
+ */
+function isNotification(message) {
+  if (message.author.id === message.client.user.id) {
+    return false;
+  }
+  return !!message.webhookId || !String(message.content || '').startsWith(config.discord.commandPrefix);
+}
+
+/**
+ * Replay the messages of a channel posted in a time range
+ * @param {Object} channel - Discord text channel
+ * @param {Object} range - { from, to } in ms
+ * @returns {Promise<Object>} - { fetched, replayed, processed (skipped, already processed),
+ *   written (raids written), known (raids already logged), truncated }
+ */
+async function backfillChannel(channel, { from, to }) {
+  logger.info(`⏪ Backfilling messages from ${new Date(from).toISOString()} to ${new Date(to).toISOString()}`);
+
+  const { messages, truncated } = await fetchHistory(channel, from, to);
+  if (truncated) {
+    logger.warn(`Backfill range holds more than ${config.backfill.maxMessages} messages - only replaying the last ${messages.length}`);
+  }
+
+  let replayed = 0;
+  let processed = 0;
+  const raids = await replayHistory(async (apply) => {
+    for (const message of messages.filter(isNotification)) {
+      if (isProcessed(message.id)) {
+        processed++;
+        continue;
+      }
+
+      // Data applied from this message, recorded in the ledger like a live message
+      const applied = [];
+      for (const data of await parseMessage(message, { replayed: true })) {
+        await apply(data, message.createdTimestamp);
+        applied.push(data);
+      }
+      recordMessage({ messageId: message.id, postedAt: message.createdTimestamp, parsed: applied });
+      replayed++;
+    }
+  });
+
+  logger.info(`⏪ Backfill done: replayed ${replayed} of ${messages.length} message(s), wrote ${raids.written} raid(s), ${raids.known} already logged`);
+  return { fetched: messages.length, replayed, processed, ...raids, truncated };
+}
+
+module.exports = {
+  backfillChannel,
+};
@@ -5,22 +5,13 @@
 const { google } = require('googleapis');
 const config = require('../config');
 const logger = require('../utils/logger');
+const { getHeaders } = require('../utils/raidFormat');
+const { PRIORITY, schedule, getStatus, getErrorReason } = require('./sheetsScheduler');
+
+// 403 reasons that mean "slow down" rather than "no access"
+const RETRYABLE_FORBIDDEN_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
 
 let sheetsClient = null;
-let lastRateLimitError = 0;
-const RATE_LIMIT_COOLDOWN = 60000; // 1 minute cooldown after rate limit
-
-// Track recent raids to match loot with completions
-const recentRaids = [];
-const MAX_RAID_HISTORY = 10;
-const RAID_TIMEOUT = 300000; // 5 minutes
-
-// Buffer for orphaned messages (duration/loot that arrive before points)
-const orphanedMessages = {
-  durations: [], // { timestamp, raidTime, scale, playerName }
-  loots: []      // { timestamp, itemName, playerName }
-};
-const ORPHAN_TIMEOUT = 10000; // 10 seconds - orphans older than this are discarded
 
 /**
  * Initialize Google Sheets API client
@@ -56,40 +47,58 @@ async function initializeSheetsClient() {
 }
 
 /**
- * Ensure the raids sheet exists with proper headers
+ * Send a Sheets API request through the shared scheduler
+ * Rate limiting, retries and the client itself are all handled here, so callers just describe the request
+ * @param {string} label - Description used in logs
+ * @param {number} priority - One of PRIORITY
+ * @param {Function} request - async (client) => response
  */
-async function ensureSheetsExist() {
-  try {
+function callSheets(label, priority, request) {
+  return schedule(async () => {
     if (!sheetsClient) {
       await initializeSheetsClient();
     }
 
-    const spreadsheet = await sheetsClient.spreadsheets.get({
+    try {
+      return await request(sheetsClient);
+    } catch (error) {
+      const status = getStatus(error);
+      if (status === 401) {
+        // Expired or revoked credentials - re-initialize the client and let the scheduler retry
+        logger.error('Authentication error with Google Sheets API:', error.message);
+        sheetsClient = null;
+        error.retryable = true;
+      } else if (status === 403) {
+        // Only a per-user rate limit passes; missing access to the sheet won't fix itself
+        error.retryable = RETRYABLE_FORBIDDEN_REASONS.includes(getErrorReason(error));
+        if (!error.retryable) {
+          logger.error('Permission denied by Google Sheets API (does the service account have access to the sheet?):', error.message);
+        }
+      }
+      throw error;
+    }
+  }, { label, priority });
+}
+
+/**
+ * Ensure the raid sheets exist with proper headers
+ * @param {Array<string|{name: string, headers: string[]}>} [requiredSheets] - Tabs to create if missing,
+ *   either raid tabs by name or other tabs with their own header row
+ */
+async function ensureSheetsExist(requiredSheets = ['Raids']) {
+  try {
+    const spreadsheet = await callSheets('spreadsheet lookup', PRIORITY.HIGH, client => client.spreadsheets.get({
       spreadsheetId: config.google.sheetId,
-    });
+    }));
 
     const sheetNames = spreadsheet.data.sheets.map(sheet => sheet.properties.title);
-    const sheetName = 'Raids';
-
-    if (!sheetNames.includes(sheetName)) {
-      logger.info(`Creating sheet: ${sheetName}`);
-      await sheetsClient.spreadsheets.batchUpdate({
-        spreadsheetId: config.google.sheetId,
-        resource: {
-          requests: [
-            {
-              addSheet: {
-                properties: {
-                  title: sheetName,
-                },
-              },
-            },
-          ],
-        },
-      });
 
-      // Add headers
-      await addHeaders(sheetName);
+    for (const sheet of requiredSheets) {
+      if (typeof sheet === 'string') {
+        await ensureSheet(sheet, sheetNames);
+      } else {
+        await ensureSheet(sheet.name, sheetNames, sheet.headers);
+      }
     }
   } catch (error) {
     logger.error('Error ensuring sheets exist:', error);
@@ -97,58 +106,89 @@ async function ensureSheetsExist() {
   }
 }
 
-// Maximum number of players to track per raid
-const MAX_PLAYERS = 5;
-
-// Minimum team size to log raids (filter out small scales)
-const MIN_TEAM_SIZE = 10;
-
 /**
- * Check if a scale meets the minimum team size requirement
- * @param {string} scale - Scale string like "11-15", "24+", "8-10", etc.
- * @returns {boolean} - True if scale is at least MIN_TEAM_SIZE
+ * Create one tab with headers, or bring the headers of an existing one up to date
+ * @param {string[]} [headers] - Header row, the raid columns by default
  */
-function isScaleLargeEnough(scale) {
-  if (!scale) return true; // If no scale info, allow it (we'll filter when scale is known)
+async function ensureSheet(sheetName, existingSheetNames, headers = getHeaders()) {
+  if (!existingSheetNames.includes(sheetName)) {
+    logger.info(`Creating sheet: ${sheetName}`);
+    await callSheets(`create ${sheetName}`, PRIORITY.HIGH, client => client.spreadsheets.batchUpdate({
+      spreadsheetId: config.google.sheetId,
+      resource: {
+        requests: [
+          {
+            addSheet: {
+              properties: {
+                title: sheetName,
+              },
+            },
+          },
+        ],
+      },
+    }));
 
-  // Extract the first number from scale (e.g., "11" from "11-15", "24" from "24+")
-  const match = scale.match(/^(\d+)/);
-  if (!match) return true; // Can't parse, allow it
+    // Add headers
+    await addHeaders(sheetName, headers);
+  } else {
+    // Sheets created by older versions may be missing newer columns
+    await syncHeaders(sheetName, headers);
+  }
+}
+
+// Background colours of highlighted raid columns
+const UNIQUE_HIGHLIGHT = { red: 0.8, green: 0.6, blue: 0.9 };
+const PET_HIGHLIGHT = { red: 1, green: 0.85, blue: 0.4 };
 
-  const minPlayers = parseInt(match[1], 10);
-  return minPlayers >= MIN_TEAM_SIZE;
+/**
+ * Conditional formatting request colouring the filled cells of one column
+ */
+function highlightColumnRule(sheetId, columnIndex, backgroundColor) {
+  return {
+    addConditionalFormatRule: {
+      rule: {
+        ranges: [
+          {
+            sheetId: sheetId,
+            startColumnIndex: columnIndex,
+            endColumnIndex: columnIndex + 1,
+            startRowIndex: 1, // Start after header
+          },
+        ],
+        booleanRule: {
+          condition: {
+            type: 'NOT_BLANK',
+          },
+          format: {
+            backgroundColor,
+          },
+        },
+      },
+      index: 0,
+    },
+  };
 }
 
 /**
- * Add headers to the raids sheet
+ * Add headers to a sheet
+ * Raid tabs also get the drop and pet columns highlighted
  */
-async function addHeaders(sheetName) {
-  const headers = [
-    'Timestamp',
-    'Total Points',
-    'Completion Time',
-    'Unique Drop'
-  ];
-
-  // Add player columns dynamically
-  for (let i = 1; i <= MAX_PLAYERS; i++) {
-    headers.push(`Player ${i} Name`);
-    headers.push(`Player ${i} Points`);
-  }
+async function addHeaders(sheetName, headers = getHeaders()) {
+  const isRaidSheet = headers.join() === getHeaders().join();
 
   try {
-    await sheetsClient.spreadsheets.values.append({
+    await callSheets(`${sheetName} headers`, PRIORITY.HIGH, client => client.spreadsheets.values.append({
       spreadsheetId: config.google.sheetId,
       range: `${sheetName}!A1`,
       valueInputOption: 'RAW',
       resource: {
         values: [headers],
       },
-    });
+    }));
 
     // Bold the headers, freeze first row, and add conditional formatting
     const sheetId = await getSheetId(sheetName);
-    await sheetsClient.spreadsheets.batchUpdate({
+    await callSheets(`${sheetName} formatting`, PRIORITY.LOW, client => client.spreadsheets.batchUpdate({
       spreadsheetId: config.google.sheetId,
       resource: {
         requests: [
@@ -180,725 +220,222 @@ async function addHeaders(sheetName) {
               fields: 'gridProperties.frozenRowCount',
             },
           },
-          {
-            addConditionalFormatRule: {
-              rule: {
-                ranges: [
-                  {
-                    sheetId: sheetId,
-                    startColumnIndex: 3, // Column D (Unique Item)
-                    endColumnIndex: 4,
-                    startRowIndex: 1, // Start after header
-                  },
-                ],
-                booleanRule: {
-                  condition: {
-                    type: 'NOT_BLANK',
-                  },
-                  format: {
-                    backgroundColor: {
-                      red: 0.8,
-                      green: 0.6,
-                      blue: 0.9,
-                    },
-                  },
-                },
-              },
-              index: 0,
-            },
-          },
-        ],
+          isRaidSheet && highlightColumnRule(sheetId, 3, UNIQUE_HIGHLIGHT), // Column D (Unique Item)
+          isRaidSheet && highlightColumnRule(sheetId, headers.indexOf('Pet'), PET_HIGHLIGHT),
+        ].filter(Boolean),
       },
-    });
+    }));
 
-    logger.info(`Added headers and conditional formatting to ${sheetName}`);
+    logger.info(`Added headers${isRaidSheet ? ' and conditional formatting' : ''} to ${sheetName}`);
   } catch (error) {
     logger.error(`Error adding headers to ${sheetName}:`, error);
   }
 }
 
 /**
- * Get sheet ID by name
+ * Rewrite the header row if it doesn't match the current columns
  */
-async function getSheetId(sheetName) {
-  const spreadsheet = await sheetsClient.spreadsheets.get({
-    spreadsheetId: config.google.sheetId,
-  });
+async function syncHeaders(sheetName, headers = getHeaders()) {
+  const endColumn = lastColumnLetter(headers.length);
 
-  const sheet = spreadsheet.data.sheets.find(s => s.properties.title === sheetName);
-  return sheet ? sheet.properties.sheetId : null;
-}
-
-/**
- * Clean up old orphaned messages
- */
-function cleanOrphans() {
-  const now = Date.now();
-  const cutoff = now - ORPHAN_TIMEOUT;
-
-  // Clean old duration orphans
-  orphanedMessages.durations = orphanedMessages.durations.filter(orphan => {
-    const orphanTime = new Date(orphan.timestamp).getTime();
-    return orphanTime >= cutoff;
-  });
-
-  // Clean old loot orphans
-  orphanedMessages.loots = orphanedMessages.loots.filter(orphan => {
-    const orphanTime = new Date(orphan.timestamp).getTime();
-    return orphanTime >= cutoff;
-  });
-}
-
-/**
- * Try to merge orphaned messages with a raid
- * Only merges orphans that are very recent (within 3 seconds of raid creation)
- * Prioritizes orphans from before the raid timestamp (arrived earlier)
- */
-function mergeOrphansWithRaid(raid) {
-  let merged = false;
-  const raidTime = new Date(raid.timestamp).getTime();
-  const MERGE_WINDOW = 3000; // Only merge orphans within 3 seconds of raid creation
-
-  // Try to merge duration orphans (find closest one that arrived BEFORE this raid)
-  if (!raid.completionTime && orphanedMessages.durations.length > 0) {
-    // Find the orphan closest in time to this raid (within merge window)
-    // Prefer orphans that arrived BEFORE the raid (negative time diff)
-    let closestIndex = -1;
-    let closestTimeDiff = Infinity;
-
-    for (let i = 0; i < orphanedMessages.durations.length; i++) {
-      const orphan = orphanedMessages.durations[i];
-      const orphanTime = new Date(orphan.timestamp).getTime();
-      const timeDiff = raidTime - orphanTime; // Positive if orphan came before raid
-
-      // Only consider orphans that came BEFORE the raid (within window)
-      if (timeDiff >= 0 && timeDiff <= MERGE_WINDOW && timeDiff < closestTimeDiff) {
-        closestIndex = i;
-        closestTimeDiff = timeDiff;
-      }
-    }
+  const response = await callSheets(`${sheetName} headers`, PRIORITY.HIGH, client => client.spreadsheets.values.get({
+    spreadsheetId: config.google.sheetId,
+    range: `${sheetName}!A1:${endColumn}1`,
+  }));
 
-    if (closestIndex >= 0) {
-      const durationOrphan = orphanedMessages.durations.splice(closestIndex, 1)[0];
-      raid.completionTime = durationOrphan.raidTime;
-      if (durationOrphan.scale) {
-        raid.scale = durationOrphan.scale;
-      }
-      logger.info(`Merged orphaned duration ${durationOrphan.raidTime} (scale: ${durationOrphan.scale || 'unknown'}) with raid (orphan was ${closestTimeDiff}ms earlier)`);
-      merged = true;
-    }
+  const current = (response.data.values && response.data.values[0]) || [];
+  if (headers.every((header, index) => current[index] === header)) {
+    return;
   }
 
-  // Try to merge ALL loot orphans that arrived BEFORE this raid (within merge window)
-  if (orphanedMessages.loots.length > 0) {
-    // Find all orphans within the merge window that came BEFORE the raid
-    const matchingOrphans = [];
-
-    for (let i = orphanedMessages.loots.length - 1; i >= 0; i--) {
-      const orphan = orphanedMessages.loots[i];
-      const orphanTime = new Date(orphan.timestamp).getTime();
-      const timeDiff = raidTime - orphanTime; // Positive if orphan came before raid
-
-      // Only consider orphans that came BEFORE the raid (within window)
-      if (timeDiff >= 0 && timeDiff <= MERGE_WINDOW) {
-        matchingOrphans.push({ index: i, orphan, timeDiff });
-      }
-    }
-
-    // Process matching orphans (remove from array in reverse order to preserve indices)
-    if (matchingOrphans.length > 0) {
-      // Sort by time diff (closest first)
-      matchingOrphans.sort((a, b) => a.timeDiff - b.timeDiff);
-
-      for (const match of matchingOrphans) {
-        const lootOrphan = match.orphan;
-        const lootMessage = lootOrphan.playerName ? `(${lootOrphan.playerName}) - ${lootOrphan.itemName}` : lootOrphan.itemName;
-
-        // Skip if this player already has a purple in this raid
-        if (raid.uniqueDrop && lootOrphan.playerName && raid.uniqueDrop.includes(`(${lootOrphan.playerName})`)) {
-          logger.debug(`Orphan merge: player ${lootOrphan.playerName} already has a purple - skipping duplicate`);
-          continue;
-        }
-
-        // Append to existing loot or set it
-        if (raid.uniqueDrop) {
-          raid.uniqueDrop = `${raid.uniqueDrop}, ${lootMessage}`;
-        } else {
-          raid.uniqueDrop = lootMessage;
-        }
-        logger.info(`Merged orphaned loot ${lootMessage} with raid (orphan was ${match.timeDiff}ms earlier)`);
-        merged = true;
-      }
-
-      // Remove matched orphans from the array (in reverse index order)
-      const indicesToRemove = matchingOrphans.map(m => m.index).sort((a, b) => b - a);
-      for (const idx of indicesToRemove) {
-        orphanedMessages.loots.splice(idx, 1);
-      }
-    }
+  await callSheets(`${sheetName} headers`, PRIORITY.HIGH, client => client.spreadsheets.values.update({
+    spreadsheetId: config.google.sheetId,
+    range: `${sheetName}!A1:${endColumn}1`,
+    valueInputOption: 'RAW',
+    resource: {
+      values: [headers],
+    },
+  }));
+
+  logger.info(`Updated headers of ${sheetName} to the current column layout`);
+
+  // Raid tabs from before pets had their own column get it highlighted like new tabs
+  const petColumn = headers.indexOf('Pet');
+  if (petColumn >= 0 && !current.includes('Pet') && headers.join() === getHeaders().join()) {
+    const sheetId = await getSheetId(sheetName);
+    await callSheets(`${sheetName} formatting`, PRIORITY.LOW, client => client.spreadsheets.batchUpdate({
+      spreadsheetId: config.google.sheetId,
+      resource: {
+        requests: [highlightColumnRule(sheetId, petColumn, PET_HIGHLIGHT)],
+      },
+    }));
   }
-
-  return merged;
 }
 
 /**
- * Create a raid entry and store it in recent raids
+ * Get sheet ID by name
  */
-function createRaidEntry(data) {
-  // Filter out players below the minimum points threshold (alts)
-  const MIN_POINTS_THRESHOLD = 2000;
-  const filteredPlayers = data.players
-    .filter(p => p.points >= MIN_POINTS_THRESHOLD)
-    .slice(0, MAX_PLAYERS); // Max players based on constant
-
-  const raid = {
-    timestamp: data.timestamp,
-    totalPoints: data.totalPoints,
-    completionTime: data.raidTime || '',
-    scale: '', // Team size e.g., "11-15" or "24+"
-    uniqueDrop: '', // Full loot message
-    players: filteredPlayers,
-    sheetRow: null,
-    addedToSheet: false
-  };
-
-  // Add to recent raids buffer
-  recentRaids.push(raid);
-
-  // Keep only recent raids
-  if (recentRaids.length > MAX_RAID_HISTORY) {
-    recentRaids.shift();
-  }
-
-  // Clean up old raids
-  const now = Date.now();
-  const cutoff = now - RAID_TIMEOUT;
-  while (recentRaids.length > 0) {
-    const oldestRaid = recentRaids[0];
-    const raidTime = new Date(oldestRaid.timestamp).getTime();
-    if (raidTime < cutoff) {
-      recentRaids.shift();
-    } else {
-      break;
-    }
-  }
+async function getSheetId(sheetName) {
+  const spreadsheet = await callSheets('spreadsheet lookup', PRIORITY.LOW, client => client.spreadsheets.get({
+    spreadsheetId: config.google.sheetId,
+  }));
 
-  return raid;
+  const sheet = spreadsheet.data.sheets.find(s => s.properties.title === sheetName);
+  return sheet ? sheet.properties.sheetId : null;
 }
 
 /**
- * Find the most recent raid for a loot drop
+ * Letter of the last column of a row (e.g. "O", or "AB" past column Z)
+ * @param {number} [columnCount] - Defaults to the columns written by raidToRow
  */
-function findRaidForLoot(lootData) {
-  const TIME_WINDOW = 60000; // 60 seconds - loot should come within 1 minute of raid completion
-  const now = Date.now();
-
-  // Look for a recent raid where the player participated (within time window)
-  for (let i = recentRaids.length - 1; i >= 0; i--) {
-    const raid = recentRaids[i];
-    const raidTime = new Date(raid.timestamp).getTime();
-    const timeDiff = now - raidTime;
-
-    // Only consider raids within the time window AND where player participated
-    if (timeDiff <= TIME_WINDOW) {
-      const hasPlayer = raid.players.some(p => p.name === lootData.playerName);
-      if (hasPlayer) {
-        return raid;
-      }
-    }
+function lastColumnLetter(columnCount = getHeaders().length) {
+  // Bijective base 26: A-Z, then AA-AZ, BA-BZ, ...
+  let letters = '';
+  for (let column = columnCount; column > 0; column = Math.floor((column - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((column - 1) % 26)) + letters; // 65 is 'A'
   }
-
-  // If no matching player within time window, return most recent raid (within time window)
-  for (let i = recentRaids.length - 1; i >= 0; i--) {
-    const raid = recentRaids[i];
-    const raidTime = new Date(raid.timestamp).getTime();
-    const timeDiff = now - raidTime;
-
-    if (timeDiff <= TIME_WINDOW) {
-      return raid;
-    }
-  }
-
-  return null;
+  return letters;
 }
 
 /**
- * Format timestamp to EST timezone with 12-hour format
- * e.g., "Jan 4, 10:29 PM"
+ * Read the last rows of a sheet
+ * @param {string} sheetName - Sheet tab to read
+ * @param {number} limit - Maximum number of rows to return (the header row is never included)
+ * @returns {Array<{rowNumber: number, values: Array}>} - Oldest row first
  */
-function formatTimestamp(isoTimestamp) {
-  const date = new Date(isoTimestamp);
-  return date.toLocaleString('en-US', {
-    timeZone: 'America/New_York',
-    month: 'short',
-    day: 'numeric',
-    hour: 'numeric',
-    minute: '2-digit',
-    hour12: true
-  });
-}
+async function readRecentRows(sheetName, limit) {
+  // Column A is always filled, so its length tells us where the data ends
+  const column = await callSheets(`${sheetName} row count`, PRIORITY.NORMAL, client => client.spreadsheets.values.get({
+    spreadsheetId: config.google.sheetId,
+    range: `${sheetName}!A:A`,
+  }));
 
-/**
- * Convert raid data to spreadsheet row format
- */
-function raidToRow(raid) {
-  const completionTime = raid.completionTime || '';
-
-  // Format timestamp to EST with 12-hour format
-  const formattedTimestamp = formatTimestamp(raid.timestamp);
-
-  const row = [
-    formattedTimestamp,
-    raid.totalPoints || '',
-    completionTime,
-    raid.uniqueDrop || ''
-  ];
-
-  // Add up to MAX_PLAYERS players (name and points pairs)
-  for (let i = 0; i < MAX_PLAYERS; i++) {
-    if (i < raid.players.length) {
-      row.push(raid.players[i].name || '');
-      row.push(raid.players[i].points || '');
-    } else {
-      row.push('');
-      row.push('');
-    }
+  const lastRow = (column.data.values || []).length;
+  if (lastRow < 2) {
+    return [];
   }
 
-  // Add scale (team size) in column O (index 14, after 4 base + 10 player columns)
-  row.push(raid.scale || '');
-
-  return row;
-}
-
-/**
- * Append a row to the sheet with retry logic
- */
-async function appendRow(sheetName, row, retryCount = 0) {
-  const MAX_RETRIES = 3;
-  const RETRY_DELAY = 2000;
-
-  try {
-    // Check if we're in rate limit cooldown
-    const now = Date.now();
-    if (now - lastRateLimitError < RATE_LIMIT_COOLDOWN) {
-      const waitTime = RATE_LIMIT_COOLDOWN - (now - lastRateLimitError);
-      logger.warn(`In rate limit cooldown, waiting ${waitTime}ms`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-    }
-
-    if (!sheetsClient) {
-      await initializeSheetsClient();
-      await ensureSheetsExist();
-    }
-
-    const response = await sheetsClient.spreadsheets.values.append({
-      spreadsheetId: config.google.sheetId,
-      range: `${sheetName}!A1`,
-      valueInputOption: 'RAW',
-      insertDataOption: 'OVERWRITE',
-      resource: {
-        values: [row],
-      },
-    });
-
-    logger.debug(`Appended row to ${sheetName}`);
-    return response;
-  } catch (error) {
-    // Handle rate limiting
-    if (error.code === 429 || error.message?.includes('rate limit')) {
-      lastRateLimitError = Date.now();
-      logger.warn(`Rate limit hit for ${sheetName}, attempt ${retryCount + 1}/${MAX_RETRIES}`);
-
-      if (retryCount < MAX_RETRIES) {
-        const delay = RETRY_DELAY * Math.pow(2, retryCount);
-        logger.info(`Retrying in ${delay}ms...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-        return appendRow(sheetName, row, retryCount + 1);
-      } else {
-        throw new Error(`Failed to append row after ${MAX_RETRIES} retries due to rate limiting`);
-      }
-    }
-
-    // Handle authentication errors
-    if (error.code === 401 || error.code === 403) {
-      logger.error('Authentication error with Google Sheets API:', error.message);
-      sheetsClient = null;
-
-      if (retryCount < MAX_RETRIES) {
-        logger.info('Re-initializing sheets client...');
-        await new Promise(resolve => setTimeout(resolve, RETRY_DELAY));
-        return appendRow(sheetName, row, retryCount + 1);
-      }
-    }
-
-    throw error;
-  }
+  const firstRow = Math.max(2, lastRow - limit + 1);
+  const response = await callSheets(`${sheetName} recent rows`, PRIORITY.NORMAL, client => client.spreadsheets.values.get({
+    spreadsheetId: config.google.sheetId,
+    range: `${sheetName}!A${firstRow}:${lastColumnLetter()}${lastRow}`,
+    valueRenderOption: 'UNFORMATTED_VALUE',
+  }));
+
+  return (response.data.values || []).map((values, index) => ({
+    rowNumber: firstRow + index,
+    values,
+  }));
 }
 
 /**
- * Update a specific row in the sheet
+ * Append a row to the sheet
+ * Sent with high priority - a new raid needs its row before it can be updated
  */
-async function updateRow(sheetName, rowNumber, row, retryCount = 0) {
-  const MAX_RETRIES = 3;
-  const RETRY_DELAY = 2000;
-
-  try {
-    const now = Date.now();
-    if (now - lastRateLimitError < RATE_LIMIT_COOLDOWN) {
-      const waitTime = RATE_LIMIT_COOLDOWN - (now - lastRateLimitError);
-      logger.warn(`In rate limit cooldown, waiting ${waitTime}ms`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
-    }
-
-    if (!sheetsClient) {
-      await initializeSheetsClient();
-      await ensureSheetsExist();
-    }
-
-    // Calculate the end column based on MAX_PLAYERS (4 base columns + 2 per player + 1 for scale)
-    const endColumn = String.fromCharCode(65 + 3 + (MAX_PLAYERS * 2) + 1); // 65 is 'A', +3 for first 4 cols, +2 per player, +1 for scale
-
-    await sheetsClient.spreadsheets.values.update({
-      spreadsheetId: config.google.sheetId,
-      range: `${sheetName}!A${rowNumber}:${endColumn}${rowNumber}`,
-      valueInputOption: 'RAW',
-      resource: {
-        values: [row],
-      },
-    });
-
-    logger.debug(`Updated row ${rowNumber} in ${sheetName}`);
-  } catch (error) {
-    if (error.code === 429 || error.message?.includes('rate limit')) {
-      lastRateLimitError = Date.now();
-      logger.warn(`Rate limit hit for ${sheetName}, attempt ${retryCount + 1}/${MAX_RETRIES}`);
-
-      if (retryCount < MAX_RETRIES) {
-        const delay = RETRY_DELAY * Math.pow(2, retryCount);
-        logger.info(`Retrying in ${delay}ms...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-        return updateRow(sheetName, rowNumber, row, retryCount + 1);
-      }
-    }
-
-    throw error;
-  }
+async function appendRow(sheetName, row) {
+  const response = await callSheets(`append to ${sheetName}`, PRIORITY.HIGH, client => client.spreadsheets.values.append({
+    spreadsheetId: config.google.sheetId,
+    range: `${sheetName}!A1`,
+    valueInputOption: 'RAW',
+    insertDataOption: 'OVERWRITE',
+    resource: {
+      values: [row],
+    },
+  }));
+
+  logger.debug(`Appended row to ${sheetName}`);
+  return response;
 }
 
-
 /**
- * Find existing raid by total points (within a time window)
- * If totalPoints is provided, search for match within tolerance (game can report slightly different totals)
- * If null, find most recent placeholder raid (raid without total points)
+ * Append several rows to a sheet in one request
+ * Used for detail rows (e.g. room splits) that are written once and rarely updated
  */
-function findRaidByTotalPoints(totalPoints) {
-  const TIME_WINDOW = 120000; // 2 minutes in milliseconds
-  const POINTS_TOLERANCE = 500; // Allow up to 500 points difference (game reports different totals to each player)
-  const now = Date.now();
-
-  // Look for a raid with matching total points within the time window (most recent first)
-  for (let i = recentRaids.length - 1; i >= 0; i--) {
-    const raid = recentRaids[i];
-    const raidTime = new Date(raid.timestamp).getTime();
-    const timeDiff = now - raidTime;
-
-    // If we're looking for a specific total points value
-    if (totalPoints !== null) {
-      // Match if total points are within tolerance AND raid is within 2 minutes
-      const pointsDiff = Math.abs(raid.totalPoints - totalPoints);
-      if (pointsDiff <= POINTS_TOLERANCE && timeDiff <= TIME_WINDOW) {
-        return raid;
-      }
-    } else {
-      // Looking for a placeholder raid (no total points yet)
-      if (raid.totalPoints === null && timeDiff <= TIME_WINDOW) {
-        return raid;
-      }
-    }
-  }
-  return null;
+async function appendRows(sheetName, rows) {
+  const response = await callSheets(`append ${rows.length} row(s) to ${sheetName}`, PRIORITY.NORMAL, client => client.spreadsheets.values.append({
+    spreadsheetId: config.google.sheetId,
+    range: `${sheetName}!A1`,
+    valueInputOption: 'RAW',
+    insertDataOption: 'OVERWRITE',
+    resource: {
+      values: rows,
+    },
+  }));
+
+  logger.debug(`Appended ${rows.length} row(s) to ${sheetName}`);
+  return response;
 }
 
 /**
- * Handle raid completion data
+ * Update a specific row in the sheet
  */
-async function handleRaidCompletion(data) {
-  const sheetName = 'Raids';
-
-  // Prevent processing stale data (older than 5 minutes)
-  // This guards against duplicate webhook messages or retries
-  const dataAge = Date.now() - new Date(data.timestamp).getTime();
-  const MAX_DATA_AGE = 300000; // 5 minutes
-  if (dataAge > MAX_DATA_AGE) {
-    logger.warn(`Ignoring stale raid data from ${data.timestamp} (${Math.round(dataAge / 1000)}s old)`);
-    return null;
-  }
-
-  // Clean up old orphans
-  cleanOrphans();
-
-  // First check if a raid with this total points already exists
-  let raid = findRaidByTotalPoints(data.totalPoints);
-
-  // Minimum points threshold to filter out alts
-  const MIN_POINTS_THRESHOLD = 2000;
-
-  if (raid) {
-    // Found existing raid with same total points
-    // Update total points if it was a placeholder
-    if (raid.totalPoints === null) {
-      raid.totalPoints = data.totalPoints;
-      logger.info(`Updating placeholder raid with total points: ${data.totalPoints}`);
-    }
+async function updateRow(sheetName, rowNumber, row) {
+  const endColumn = lastColumnLetter();
 
-    // Add player to existing raid (if not already present and under limit)
-    const newPlayer = data.players[0];
-
-    // Skip players with less than minimum points (likely alts)
-    if (newPlayer && newPlayer.points < MIN_POINTS_THRESHOLD) {
-      logger.info(`Skipping player ${newPlayer.name} with ${newPlayer.points} points (below ${MIN_POINTS_THRESHOLD} threshold - likely an alt)`);
-      return raid;
-    }
-
-    if (newPlayer && raid.players.length < MAX_PLAYERS) {
-      const playerExists = raid.players.some(p => p.name === newPlayer.name);
-      if (!playerExists) {
-        raid.players.push(newPlayer);
-        logger.info(`Adding player ${newPlayer.name} to existing raid (${raid.totalPoints} points)`);
-
-        // Update the sheet row if it was already added
-        if (raid.addedToSheet && raid.sheetRow) {
-          const row = raidToRow(raid);
-          await updateRow(sheetName, raid.sheetRow, row);
-          logger.info(`Updated raid at row ${raid.sheetRow} with new player`);
-        } else {
-          // Raid not yet written to sheet - schedule a delayed update
-          logger.info(`Raid not yet in sheet, scheduling delayed update for ${newPlayer.name}`);
-          setTimeout(async () => {
-            if (raid.addedToSheet && raid.sheetRow) {
-              const row = raidToRow(raid);
-              await updateRow(sheetName, raid.sheetRow, row);
-              logger.info(`Delayed update: Updated raid at row ${raid.sheetRow} with player ${newPlayer.name}`);
-            }
-          }, 2000); // Wait 2 seconds for the initial append to complete
-        }
-      } else {
-        logger.info(`Player ${newPlayer.name} already exists in raid (${raid.totalPoints} points)`);
-      }
-    } else if (raid.players.length >= MAX_PLAYERS) {
-      logger.warn(`Raid already has ${MAX_PLAYERS} players, cannot add ${data.players[0]?.name}`);
-    }
-  } else {
-    // No raid with matching points - check for placeholder raids (no total points yet)
-    const placeholderRaid = findRaidByTotalPoints(null);
-
-    if (placeholderRaid) {
-      // Merge with placeholder raid
-      logger.info(`Merging points data with placeholder raid`);
-      raid = placeholderRaid;
-      raid.totalPoints = data.totalPoints;
-
-      // Add the new player (if above threshold)
-      const newPlayer = data.players[0];
-      if (newPlayer && newPlayer.points >= MIN_POINTS_THRESHOLD && raid.players.length < MAX_PLAYERS) {
-        const playerExists = raid.players.some(p => p.name === newPlayer.name);
-        if (!playerExists) {
-          raid.players.push(newPlayer);
-        }
-      } else if (newPlayer && newPlayer.points < MIN_POINTS_THRESHOLD) {
-        logger.info(`Skipping player ${newPlayer.name} with ${newPlayer.points} points (below threshold - likely an alt)`);
-      }
-    } else {
-      // Create new raid entry
-      raid = createRaidEntry(data);
-      logger.info(`Creating new raid: ${raid.totalPoints} points, ${raid.players.length} player(s)`);
-
-      // Try to merge any orphaned messages with this new raid
-      const merged = mergeOrphansWithRaid(raid);
-      if (merged) {
-        logger.info('Merged orphaned messages with new raid');
-      }
-    }
-
-    // Check if scale is large enough (at least MIN_TEAM_SIZE players)
-    if (!isScaleLargeEnough(raid.scale)) {
-      logger.info(`Skipping raid with scale ${raid.scale} (below ${MIN_TEAM_SIZE} player minimum)`);
-      return raid;
-    }
-
-    // Add to sheet if it has total points (required field)
-    if (raid.totalPoints !== null && !raid.addedToSheet) {
-      const row = raidToRow(raid);
-      const response = await appendRow(sheetName, row);
-
-      // Extract row number from response
-      if (response && response.data && response.data.updates) {
-        const range = response.data.updates.updatedRange;
-        const rowMatch = range.match(/!A(\d+)/);
-        if (rowMatch) {
-          raid.sheetRow = parseInt(rowMatch[1], 10);
-          raid.addedToSheet = true;
-          logger.debug(`Raid added to sheet at row ${raid.sheetRow}`);
-        }
-      }
-    } else if (raid.addedToSheet && raid.sheetRow) {
-      // Update existing row
-      const row = raidToRow(raid);
-      await updateRow(sheetName, raid.sheetRow, row);
-      logger.info(`Updated raid at row ${raid.sheetRow} with merged data`);
-    }
-  }
-
-  // Return the raid for potential chaining
-  return raid;
+  await callSheets(`update ${sheetName} row ${rowNumber}`, PRIORITY.NORMAL, client => client.spreadsheets.values.update({
+    spreadsheetId: config.google.sheetId,
+    range: `${sheetName}!A${rowNumber}:${endColumn}${rowNumber}`,
+    valueInputOption: 'RAW',
+    resource: {
+      values: [row],
+    },
+  }));
+
+  logger.debug(`Updated row ${rowNumber} in ${sheetName}`);
 }
 
 /**
- * Handle duration/time update
+ * Update several rows of a sheet with a single values.batchUpdate request
+ * @param {string} sheetName - Sheet tab to write to
+ * @param {Array<{rowNumber: number, row: Array}>} updates - Rows to overwrite
  */
-async function handleDurationUpdate(data) {
-  const sheetName = 'Raids';
-  const TIME_THRESHOLD = 60000; // 60 seconds - duration should come within 1 minute of raid completion
-
-  // Clean up old orphans
-  cleanOrphans();
-
-  // Find the most recent raid WITHOUT a completion time
-  let targetRaid = null;
-  for (let i = recentRaids.length - 1; i >= 0; i--) {
-    const raid = recentRaids[i];
-    const now = Date.now();
-    const raidTime = new Date(raid.timestamp).getTime();
-    const timeDiff = now - raidTime;
-
-    // Find first raid within time window that doesn't have a completion time yet
-    if (timeDiff <= TIME_THRESHOLD && !raid.completionTime) {
-      targetRaid = raid;
-      break;
-    }
-  }
+async function batchUpdateRows(sheetName, updates) {
+  const endColumn = lastColumnLetter();
 
-  if (targetRaid) {
-    logger.info(`Updating raid${targetRaid.totalPoints ? ` (${targetRaid.totalPoints} points)` : ''} with duration: ${data.raidTime}, scale: ${data.scale || 'unknown'}`);
-
-    // Update the raid entry with duration and scale
-    targetRaid.completionTime = data.raidTime;
-    if (data.scale) {
-      targetRaid.scale = data.scale;
-    }
+  await callSheets(`batch update ${sheetName}`, PRIORITY.NORMAL, client => client.spreadsheets.values.batchUpdate({
+    spreadsheetId: config.google.sheetId,
+    resource: {
+      valueInputOption: 'RAW',
+      data: updates.map(({ rowNumber, row }) => ({
+        range: `${sheetName}!A${rowNumber}:${endColumn}${rowNumber}`,
+        values: [row],
+      })),
+    },
+  }));
 
-    // If raid was already added to sheet, update it
-    if (targetRaid.addedToSheet && targetRaid.sheetRow) {
-      const row = raidToRow(targetRaid);
-      await updateRow(sheetName, targetRaid.sheetRow, row);
-      logger.info(`Updated raid at row ${targetRaid.sheetRow} with duration: ${data.raidTime}`);
-    } else {
-      // Raid hasn't been added yet, just update the entry (will be included when added)
-      logger.debug(`Duration ${data.raidTime} will be included when raid is added to sheet`);
-    }
-  } else {
-    // No raid found yet - add to orphan buffer
-    logger.info(`No raid found for duration ${data.raidTime}, adding to orphan buffer`);
-    orphanedMessages.durations.push({
-      timestamp: data.timestamp,
-      raidTime: data.raidTime,
-      scale: data.scale || null,
-      playerName: data.playerName || null
-    });
-  }
+  logger.debug(`Batch updated ${updates.length} row(s) in ${sheetName}`);
 }
 
 /**
- * Handle loot drop data
+ * Overwrite the rows of a sheet below its header row
+ * Used for tabs that are rewritten as a whole (e.g. the Players tab), which only ever grow
+ * @param {string} sheetName - Sheet tab to write to
+ * @param {Array[]} rows - Rows to write from row 2 on
  */
-async function handleLootDrop(data) {
-  const sheetName = 'Raids';
-
-  // Clean up old orphans
-  cleanOrphans();
-
-  let raid = findRaidForLoot(data);
-
-  // Create the full loot message format: "(playerName) - itemName"
-  const lootMessage = data.playerName ? `(${data.playerName}) - ${data.itemName}` : data.itemName;
-
-  if (!raid) {
-    // No raid found yet - add to orphan buffer (but skip if this player already has one buffered)
-    if (data.playerName && orphanedMessages.loots.some(o => o.playerName === data.playerName)) {
-      logger.debug(`Orphan buffer already has a loot from ${data.playerName} - skipping duplicate`);
-      return;
-    }
-    logger.info(`No raid found for loot ${lootMessage}, adding to orphan buffer`);
-    orphanedMessages.loots.push({
-      timestamp: data.timestamp,
-      itemName: data.itemName,
-      playerName: data.playerName || null
-    });
+async function replaceRows(sheetName, rows) {
+  if (rows.length === 0) {
     return;
   }
 
-  // Each player can only receive one purple per raid - skip if this player already has one
-  if (raid.uniqueDrop && data.playerName) {
-    if (raid.uniqueDrop.includes(`(${data.playerName})`)) {
-      logger.debug(`Player ${data.playerName} already has a purple in this raid - skipping duplicate`);
-      return;
-    }
-  }
-
-  logger.info(`Matching loot ${data.itemName} to raid from ${raid.timestamp}`);
-
-  // Append to existing loot if there's already a drop, otherwise set it
-  if (raid.uniqueDrop) {
-    raid.uniqueDrop = `${raid.uniqueDrop}, ${lootMessage}`;
-    logger.info(`Added additional loot drop: ${lootMessage}`);
-  } else {
-    raid.uniqueDrop = lootMessage;
-  }
-
-  // If raid was already added to sheet, update it
-  if (raid.addedToSheet && raid.sheetRow) {
-    const row = raidToRow(raid);
-    await updateRow(sheetName, raid.sheetRow, row);
-    logger.info(`Updated raid at row ${raid.sheetRow} with loot: ${lootMessage}`);
-  } else {
-    // Raid hasn't been added yet, just update the entry (will be included when added)
-    logger.debug(`Loot ${lootMessage} will be included when raid is added to sheet`);
-  }
-}
-
-/**
- * Main function to handle parsed data
- */
-async function appendToSheet(data) {
-  try {
-    if (data.type === 'points') {
-      await handleRaidCompletion(data);
-    } else if (data.type === 'duration') {
-      await handleDurationUpdate(data);
-    } else if (data.type === 'loot') {
-      await handleLootDrop(data);
-    } else {
-      throw new Error(`Unknown data type: ${data.type}`);
-    }
-  } catch (error) {
-    logger.error('Error appending to sheet:', error);
-    throw error;
-  }
+  await callSheets(`rewrite ${sheetName}`, PRIORITY.NORMAL, client => client.spreadsheets.values.update({
+    spreadsheetId: config.google.sheetId,
+    range: `${sheetName}!A2`,
+    valueInputOption: 'RAW',
+    resource: {
+      values: rows,
+    },
+  }));
+
+  logger.debug(`Rewrote ${rows.length} row(s) in ${sheetName}`);
 }
 
-// Initialize on module load
-(async () => {
-  try {
-    await initializeSheetsClient();
-    await ensureSheetsExist();
-  } catch (error) {
-    logger.error('Failed to initialize Google Sheets on startup:', error);
-  }
-})();
-
 module.exports = {
-  appendToSheet,
   initializeSheetsClient,
   ensureSheetsExist,
+  readRecentRows,
+  appendRow,
+  appendRows,
+  updateRow,
+  batchUpdateRows,
+  replaceRows,
 };
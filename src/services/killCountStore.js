@@ -0,0 +1,140 @@
+/**
+ * Latest raid kill count of every player, and the gaps between them
+ *
+ * The game reports a player's new kill count after every raid ("Your completed Chambers of Xeric
+ * count is: 52."). Counts are kept per raid and mode, since Challenge Mode, Hard Mode, etc. have
+ * their own count. When a count jumps by more than one, the raids in between were never seen by
+ * the tracker; those gaps are recorded so missed raids can be spotted.
+ *
+ * Stored as a JSON file (killcounts.json in the data directory):
+ *   {
+ *     "killCounts": [{ "player": "H y p e r r", "raidType": "cox", "mode": "normal", "killCount": 52,
+ *                      "updatedAt": "...", "missedRaids": 1 }],
+ *     "gaps": [{ "player": "H y p e r r", "raidType": "cox", "mode": "normal", "from": 50, "to": 52,
+ *                "missed": 1, "detectedAt": "..." }]
+ *   }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { normalizeRsn, sameRsn } = require('../utils/rsn');
+
+const STORE_FILE = path.join(config.storage.dataDir, 'killcounts.json');
+const MAX_GAPS = 200; // Only the most recent gaps are kept
+
+let store = null; // Loaded on first use
+
+function load() {
+  if (store) {
+    return store;
+  }
+
+  store = { killCounts: [], gaps: [] };
+  try {
+    if (fs.existsSync(STORE_FILE)) {
+      const saved = JSON.parse(fs.readFileSync(STORE_FILE, 'utf8'));
+      store.killCounts = saved.killCounts || [];
+      store.gaps = saved.gaps || [];
+    }
+  } catch (error) {
+    logger.error(`Failed to load kill counts from ${STORE_FILE}:`, error.message);
+  }
+  return store;
+}
+
+/**
+ * Write the store (temp file + rename so it is never left half-written)
+ */
+function save() {
+  try {
+    fs.mkdirSync(path.dirname(STORE_FILE), { recursive: true });
+    const tempFile = `${STORE_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(store, null, 2));
+    fs.renameSync(tempFile, STORE_FILE);
+  } catch (error) {
+    logger.error(`Failed to save kill counts to ${STORE_FILE}:`, error.message);
+  }
+}
+
+/**
+ * Record a player's new kill count
+ * @param {Object} killCount - { player, raidType, mode, killCount, timestamp }
+ * @param {string[]} [previousNames] - Earlier names of the player; their kill counts carry over
+ * @returns {{ entry: Object, gap: Object|null, stale: boolean }}
+ *   - stale when the count is not higher than the one already known (e.g. a forwarded duplicate)
+ */
+function recordKillCount({ player, raidType, mode, killCount, timestamp }, previousNames = []) {
+  load();
+
+  const findEntry = name => store.killCounts.find(existing =>
+    sameRsn(existing.player, name) && existing.raidType === raidType && existing.mode === mode
+  );
+  let entry = findEntry(player);
+  for (const name of [...previousNames].reverse()) {
+    entry = entry || findEntry(name); // Most recent earlier name first
+  }
+
+  if (entry && killCount <= entry.killCount) {
+    return { entry, gap: null, stale: true };
+  }
+
+  let gap = null;
+  if (!entry) {
+    entry = { player, raidType, mode, killCount, updatedAt: timestamp, missedRaids: 0 };
+    store.killCounts.push(entry);
+  } else {
+    if (killCount > entry.killCount + 1) {
+      gap = {
+        player,
+        raidType,
+        mode,
+        from: entry.killCount,
+        to: killCount,
+        missed: killCount - entry.killCount - 1,
+        detectedAt: timestamp,
+      };
+      store.gaps = [...store.gaps, gap].slice(-MAX_GAPS);
+      entry.missedRaids += gap.missed;
+    }
+    entry.player = player; // Latest spelling
+    entry.killCount = killCount;
+    entry.updatedAt = timestamp;
+  }
+
+  save();
+  return { entry, gap, stale: false };
+}
+
+/**
+ * Every known kill count, sorted by player, raid and mode
+ */
+function listKillCounts() {
+  return [...load().killCounts].sort((a, b) =>
+    normalizeRsn(a.player).localeCompare(normalizeRsn(b.player)) ||
+    a.raidType.localeCompare(b.raidType) ||
+    a.mode.localeCompare(b.mode)
+  );
+}
+
+/**
+ * Kill counts of one player
+ */
+function getPlayerKillCounts(player) {
+  return listKillCounts().filter(entry => sameRsn(entry.player, player));
+}
+
+/**
+ * Most recent kill count gaps, newest first
+ */
+function listGaps(limit = 10) {
+  return load().gaps.slice(-limit).reverse();
+}
+
+module.exports = {
+  recordKillCount,
+  listKillCounts,
+  getPlayerKillCounts,
+  listGaps,
+};
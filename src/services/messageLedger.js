@@ -0,0 +1,177 @@
+/**
+ * Ledger of processed Discord messages
+ *
+ * Every message that was processed is recorded by its Discord message ID, so a message delivered
+ * again (e.g. replayed after a reconnect) is never applied twice. Each message also records the
+ * content fingerprints of the data it produced: the same drop, points or time posted by a second
+ * webhook (a member running two plugins, Dink next to a text plugin) within DUPLICATE_WINDOW_MS
+ * is recognised as the same event, while a real second drop of the player has its own message
+ * and falls outside the window.
+ *
+ * An edited or deleted message is recorded again with the data it has now; its latest entry counts.
+ *
+ * Entries are kept as JSON Lines (LEDGER_PATH, processed-messages.jsonl in the data directory by
+ * default), trimmed to the most recent LEDGER_MAX_ENTRIES.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { normalizeRsn } = require('../utils/rsn');
+
+const LEDGER_FILE = config.ledger.path;
+
+let entries = null; // { messageId, postedAt, processedAt, fingerprints }, oldest first - loaded on first use
+const messages = new Map(); // message ID -> entry
+const fingerprints = new Map(); // fingerprint -> latest entry that produced it
+
+/**
+ * Stop finding an entry by its message ID and fingerprints
+ */
+function unindex(entry) {
+  if (messages.get(entry.messageId) === entry) {
+    messages.delete(entry.messageId);
+  }
+  for (const key of entry.fingerprints) {
+    if (fingerprints.get(key) === entry) {
+      fingerprints.delete(key);
+    }
+  }
+}
+
+function index(entry) {
+  // A message recorded again (edited or deleted) no longer reports what it used to
+  const previous = messages.get(entry.messageId);
+  if (previous) {
+    unindex(previous);
+  }
+
+  messages.set(entry.messageId, entry);
+  for (const key of entry.fingerprints) {
+    fingerprints.set(key, entry);
+  }
+}
+
+/**
+ * Entries in the ledger file, oldest first
+ */
+function loadEntries() {
+  if (entries) {
+    return entries;
+  }
+
+  entries = [];
+  try {
+    if (fs.existsSync(LEDGER_FILE)) {
+      for (const line of fs.readFileSync(LEDGER_FILE, 'utf8').split('\n')) {
+        if (line.trim()) {
+          entries.push(JSON.parse(line));
+        }
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to read processed message ledger ${LEDGER_FILE}:`, error.message);
+  }
+
+  entries.forEach(index);
+  return entries;
+}
+
+/**
+ * Rewrite the whole ledger file (temp file + rename so it is never left half-written)
+ */
+function rewriteFile() {
+  const tempFile = `${LEDGER_FILE}.tmp`;
+  fs.writeFileSync(tempFile, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+  fs.renameSync(tempFile, LEDGER_FILE);
+}
+
+/**
+ * Content fingerprint of parsed message data - the same event reported by any webhook has the same one
+ * Room splits and deaths have none: the tracker already merges splits from every member
+ * @returns {string|null}
+ */
+function fingerprint(data) {
+  const player = normalizeRsn(data.playerName);
+
+  switch (data.type) {
+    case 'loot':
+      return `loot:${data.raidType || 'cox'}:${player}:${data.itemId || data.itemName}`;
+    case 'pet':
+      return `pet:${player}:${data.itemId || data.raidType || ''}`;
+    case 'points':
+      return `points:${normalizeRsn(data.players[0] && data.players[0].name)}:${data.totalPoints}`;
+    case 'duration':
+      return `duration:${data.raidType || 'cox'}:${player}:${data.raidTimeMs ?? data.raidTime}`;
+    case 'killcount':
+      return `killcount:${data.raidType}:${data.mode || 'normal'}:${player}:${data.killCount}`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check whether a message was already processed
+ */
+function isProcessed(messageId) {
+  loadEntries();
+  return messages.has(messageId);
+}
+
+/**
+ * Find an earlier message that reported the same event
+ * @param {Object} data - Parsed message data
+ * @param {number} postedAt - When the message was posted (ms)
+ * @returns {string|null} - ID of the earlier message, or null if the data is new
+ */
+function findDuplicate(data, postedAt) {
+  loadEntries();
+  const key = fingerprint(data);
+  const earlier = key ? fingerprints.get(key) : null;
+  if (!earlier || Math.abs(postedAt - new Date(earlier.postedAt).getTime()) > config.ledger.duplicateWindowMs) {
+    return null;
+  }
+  return earlier.messageId;
+}
+
+/**
+ * Record a processed message and the data it produced
+ * @param {Object} details - { messageId, postedAt (ms), parsed (data applied from the message) }
+ */
+function recordMessage({ messageId, postedAt, parsed = [] }) {
+  const entry = {
+    messageId,
+    postedAt: new Date(postedAt).toISOString(),
+    processedAt: new Date().toISOString(),
+    fingerprints: parsed.map(fingerprint).filter(key => key),
+  };
+
+  loadEntries().push(entry);
+  index(entry);
+
+  try {
+    fs.mkdirSync(path.dirname(LEDGER_FILE), { recursive: true });
+
+    if (entries.length > config.ledger.maxEntries) {
+      // Trim a tenth below the limit so the file isn't rewritten for every message from now on
+      const keep = Math.floor(config.ledger.maxEntries * 0.9);
+      entries.splice(0, entries.length - keep).forEach(unindex);
+      rewriteFile();
+    } else {
+      fs.appendFileSync(LEDGER_FILE, `${JSON.stringify(entry)}\n`);
+    }
+  } catch (error) {
+    // The message was applied - losing the record only risks applying it again after a restart
+    logger.error(`Failed to write processed message ledger ${LEDGER_FILE}:`, error.message);
+  }
+
+  return entry;
+}
+
+module.exports = {
+  fingerprint,
+  isProcessed,
+  findDuplicate,
+  recordMessage,
+};
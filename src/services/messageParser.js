@@ -0,0 +1,138 @@
+/**
+ * Turns a Discord message from the monitored channel into raid data
+ *
+ * A message can carry several content sources - its text and every embed. Dink embeds are parsed
+ * from their structured fields (and the JSON payload Dink can attach), everything else from its
+ * text. Used for live messages, edited messages and messages replayed by a backfill.
+ */
+
+const { parseRaidNotification } = require('../parsers/raidParser');
+const { isDinkNotification, parseDinkNotification, explainDinkRejection } = require('../parsers/dinkParser');
+const { explainRejection } = require('../parsers/ruleRegistry');
+const { recordUnparsed } = require('./unparsedLog');
+const { findDuplicate, fingerprint } = require('./messageLedger');
+const logger = require('../utils/logger');
+
+const PAYLOAD_FETCH_TIMEOUT = 5000;
+
+/**
+ * Download the JSON payload Dink can attach to its messages
+ * @returns {Promise<Object|null>} - Parsed payload, or null if there is none or it can't be read
+ */
+async function fetchDinkPayload(message) {
+  const attachment = message.attachments && message.attachments.find(file =>
+    (file.contentType && file.contentType.startsWith('application/json')) || /\.json$/i.test(file.name || '')
+  );
+  if (!attachment) {
+    return null;
+  }
+
+  try {
+    const response = await fetch(attachment.url, { signal: AbortSignal.timeout(PAYLOAD_FETCH_TIMEOUT) });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return await response.json();
+  } catch (error) {
+    logger.warn(`Could not read JSON payload ${attachment.name}, falling back to the embed:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Parse every content source of a message (regular content + all embeds)
+ * Sources no rule understands are kept in the unparsed log; data another embed of this message already
+ * reported is left out, and data another message already reported has duplicateOf set to that message.
+ * @param {Object} [options] - { edited } when the message is parsed again after an edit, { replayed }
+ *   when a backfill replays it - its data is then timestamped with the time it was posted
+ * @returns {Promise<Object[]>} - Parsed data, with the posting webhook and the message ID
+ */
+async function parseMessage(message, { edited = false, replayed = false } = {}) {
+  const isWebhook = message.webhookId !== null;
+  const username = message.author.username;
+
+  // Collect all content sources (regular content + all embeds)
+  // Dink embeds are parsed from their structured fields, everything else from its text
+  const contentSources = [];
+  const embeds = message.embeds || [];
+  const payload = await fetchDinkPayload(message);
+  const hasDinkPayload = isDinkNotification(null, payload);
+
+  if (hasDinkPayload && embeds.length === 0) {
+    // Dink set to post without embeds - the payload holds everything
+    contentSources.push({ text: payload.content || message.content || '', dinkEmbed: {} });
+  } else if (message.content && !hasDinkPayload) {
+    contentSources.push({ text: message.content });
+  }
+
+  // Check all embeds for content
+  for (const embed of embeds) {
+    if (isDinkNotification(embed, payload)) {
+      contentSources.push({ text: embed.description || embed.title || '', dinkEmbed: embed });
+    } else if (embed.description) {
+      contentSources.push({ text: embed.description });
+    }
+  }
+
+  const parsed = [];
+
+  // Process each content source
+  for (const { text, dinkEmbed } of contentSources) {
+    logger.info('---');
+    logger.info(`📨 ${edited ? 'Edited' : replayed ? 'Replayed' : 'New'} ${dinkEmbed ? 'Dink notification' : 'message'} from ${isWebhook ? 'webhook' : 'user'}: ${username}`);
+    logger.info(`📝 Content: "${text}"`);
+
+    const parsedData = dinkEmbed
+      ? parseDinkNotification(dinkEmbed, payload)
+      : parseRaidNotification(text, username);
+
+    if (!parsedData) {
+      // Keep the message and why it was rejected, so format changes can be spotted with !unparsed
+      const { partial, reasons } = dinkEmbed
+        ? { partial: true, reasons: [explainDinkRejection(dinkEmbed, payload)] }
+        : explainRejection(text, username);
+      logger.warn(`⚠️  Message did not match any raid notification patterns: ${reasons.join('; ')}`);
+      await recordUnparsed({
+        messageId: message.id,
+        author: username,
+        source: dinkEmbed ? 'dink' : 'text',
+        content: text,
+        reasons,
+        partial,
+      });
+      continue;
+    }
+
+    if (replayed || edited) {
+      // Correlation runs on the time the message was posted, not when it is replayed or edited
+      parsedData.timestamp = new Date(message.createdTimestamp).toISOString();
+    }
+    logger.info(`✅ Parsed ${parsedData.type} notification:`, parsedData);
+
+    // The same event in another embed of this message is applied once
+    const key = fingerprint(parsedData);
+    if (parsed.some(data => key && fingerprint(data) === key)) {
+      logger.info(`⏭️  Skipping ${parsedData.type} data - already in this message`);
+      continue;
+    }
+
+    // The same event posted by another webhook isn't applied again, but is linked to the earlier
+    // message so it still counts if that one is deleted (an edited message finds its own earlier
+    // data, which it replaces)
+    const earlier = findDuplicate(parsedData, message.createdTimestamp);
+    if (earlier && earlier !== message.id) {
+      logger.info(`⏭️  ${parsedData.type} data was already applied from message ${earlier}`);
+      parsedData.duplicateOf = earlier;
+    }
+
+    // The posting webhook helps tell apart teams finishing at the same time; the message ID lets
+    // an edit or delete find the data again
+    parsed.push({ ...parsedData, reportedBy: username, messageId: message.id });
+  }
+
+  return parsed;
+}
+
+module.exports = {
+  parseMessage,
+};
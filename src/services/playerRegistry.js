@@ -0,0 +1,294 @@
+/**
+ * Player registry - maps alt accounts to their main, flags accounts excluded from stats
+ * and keeps the name-change history of players
+ *
+ * Stored as a JSON file (PLAYER_REGISTRY_PATH, players.json in the data directory by default):
+ *   {
+ *     "accounts": [
+ *       { "rsn": "Hyperr Alt", "main": "H y p e r r" },
+ *       { "rsn": "Bank Mule", "excludeFromStats": true }
+ *     ],
+ *     "renames": [
+ *       { "from": "Old Name", "to": "H y p e r r", "changedAt": "2026-03-01T00:00:00.000Z" }
+ *     ]
+ *   }
+ * The file can be edited by hand (changes are picked up on the next lookup) or through the
+ * !player bot commands, which rewrite it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { cleanRsn, normalizeRsn, sameRsn } = require('../utils/rsn');
+
+const REGISTRY_FILE = config.players.registryPath;
+
+let accounts = new Map(); // normalized RSN -> { rsn, main, excludeFromStats }
+let renames = []; // { from, to, changedAt }, oldest first
+let loadedMtime = null;
+
+// Key used to look accounts up
+const nameKey = normalizeRsn;
+
+/**
+ * (Re)load the registry file if it changed since the last read
+ */
+function refresh() {
+  let mtime;
+  try {
+    mtime = fs.statSync(REGISTRY_FILE).mtimeMs;
+  } catch (error) {
+    // No registry file yet - nobody is registered
+    accounts = new Map();
+    renames = [];
+    loadedMtime = null;
+    return;
+  }
+
+  if (mtime === loadedMtime) {
+    return;
+  }
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(REGISTRY_FILE, 'utf8'));
+    const loaded = new Map();
+    for (const account of saved.accounts || []) {
+      if (account.rsn) {
+        loaded.set(nameKey(account.rsn), {
+          rsn: cleanRsn(account.rsn),
+          main: cleanRsn(account.main),
+          excludeFromStats: !!account.excludeFromStats
+        });
+      }
+    }
+    accounts = loaded;
+    renames = (saved.renames || [])
+      .filter(rename => rename.from && rename.to)
+      .map(rename => ({ from: cleanRsn(rename.from), to: cleanRsn(rename.to), changedAt: rename.changedAt || null }))
+      .sort((a, b) => String(a.changedAt).localeCompare(String(b.changedAt)));
+    loadedMtime = mtime;
+    logger.info(`Loaded ${accounts.size} account(s) and ${renames.length} name change(s) from player registry ${REGISTRY_FILE}`);
+  } catch (error) {
+    // Keep the previous registry rather than crediting everyone as a main
+    logger.error(`Failed to load player registry from ${REGISTRY_FILE}:`, error.message);
+    loadedMtime = mtime;
+  }
+}
+
+/**
+ * Write the registry file (temp file + rename so it is never left half-written)
+ */
+function save() {
+  fs.mkdirSync(path.dirname(REGISTRY_FILE), { recursive: true });
+
+  const tempFile = `${REGISTRY_FILE}.tmp`;
+  const payload = {
+    accounts: [...accounts.values()].sort((a, b) => a.rsn.localeCompare(b.rsn)),
+    renames
+  };
+
+  fs.writeFileSync(tempFile, JSON.stringify(payload, null, 2));
+  fs.renameSync(tempFile, REGISTRY_FILE);
+  loadedMtime = fs.statSync(REGISTRY_FILE).mtimeMs;
+}
+
+/**
+ * Registry entry for an account, creating an empty one if needed
+ */
+function getOrCreate(rsn) {
+  const key = nameKey(rsn);
+  if (!accounts.has(key)) {
+    accounts.set(key, { rsn: cleanRsn(rsn), main: null, excludeFromStats: false });
+  }
+  return accounts.get(key);
+}
+
+/**
+ * Drop entries that no longer say anything
+ */
+function pruneAccount(rsn) {
+  const account = accounts.get(nameKey(rsn));
+  if (account && !account.main && !account.excludeFromStats) {
+    accounts.delete(nameKey(rsn));
+  }
+}
+
+/**
+ * Follow the name changes of a player to their current name
+ * Each step only follows a change made after the previous one, so changing back to an old name works
+ */
+function followRenames(name) {
+  let current = cleanRsn(name);
+  let since = '';
+
+  for (;;) {
+    const next = renames
+      .filter(rename => sameRsn(rename.from, current) && String(rename.changedAt) > since)
+      .pop();
+    if (!next) {
+      return current;
+    }
+    current = next.to;
+    since = String(next.changedAt);
+  }
+}
+
+/**
+ * Current name of a player, following recorded name changes
+ */
+function currentName(name) {
+  refresh();
+  return followRenames(name);
+}
+
+/**
+ * Look up how a player should be recorded
+ * @param {string} name - RSN as it appeared in the message
+ * @returns {{ name: string, main: string|null, excludeFromStats: boolean }}
+ *   - name is the player's current name, main is null for mains and unknown players
+ */
+function resolvePlayer(name) {
+  refresh();
+  const current = followRenames(name);
+  const account = accounts.get(nameKey(current));
+  if (!account) {
+    return { name: current, main: null, excludeFromStats: false };
+  }
+
+  // An alt of an excluded main is excluded too
+  const main = account.main ? followRenames(account.main) : null;
+  const mainAccount = main ? accounts.get(nameKey(main)) : null;
+  return {
+    name: current,
+    main,
+    excludeFromStats: account.excludeFromStats || !!(mainAccount && mainAccount.excludeFromStats)
+  };
+}
+
+/**
+ * Record a name change
+ * Registry entries of the old name (alt mapping, exclusion, alts pointing at it) move to the new name
+ */
+function recordRename(fromRsn, toRsn, changedAt = new Date().toISOString()) {
+  refresh();
+  if (sameRsn(fromRsn, toRsn)) {
+    throw new Error('The old and new names are the same');
+  }
+  if (accounts.has(nameKey(toRsn)) && accounts.has(nameKey(fromRsn))) {
+    throw new Error(`${cleanRsn(toRsn)} is already registered - remove one of the entries first`);
+  }
+
+  const rename = { from: cleanRsn(fromRsn), to: cleanRsn(toRsn), changedAt };
+  renames.push(rename);
+
+  const account = accounts.get(nameKey(fromRsn));
+  if (account) {
+    accounts.delete(nameKey(fromRsn));
+    account.rsn = rename.to;
+    accounts.set(nameKey(rename.to), account);
+  }
+  for (const alt of accounts.values()) {
+    if (sameRsn(alt.main, fromRsn)) {
+      alt.main = rename.to;
+    }
+  }
+
+  save();
+  return rename;
+}
+
+/**
+ * Every name a player has used, oldest first, ending with the current one
+ */
+function getNameHistory(name) {
+  refresh();
+  const names = [followRenames(name)];
+
+  // Walk backwards through the changes, each one leading to the oldest name found so far
+  for (let i = renames.length - 1; i >= 0; i--) {
+    if (sameRsn(renames[i].to, names[0])) {
+      names.unshift(renames[i].from);
+    }
+  }
+  return names;
+}
+
+/**
+ * All recorded name changes, oldest first
+ */
+function listRenames() {
+  refresh();
+  return [...renames];
+}
+
+/**
+ * Register an alt of a main account
+ */
+function setMain(altRsn, mainRsn) {
+  refresh();
+  if (nameKey(altRsn) === nameKey(mainRsn)) {
+    throw new Error('An account cannot be its own alt');
+  }
+  const mainAccount = accounts.get(nameKey(mainRsn));
+  if (mainAccount && mainAccount.main) {
+    throw new Error(`${mainAccount.rsn} is itself an alt of ${mainAccount.main}`);
+  }
+
+  const ownAlt = [...accounts.values()].find(existing => nameKey(existing.main) === nameKey(altRsn));
+  if (ownAlt) {
+    throw new Error(`${altRsn} has alts of its own (e.g. ${ownAlt.rsn})`);
+  }
+
+  const account = getOrCreate(altRsn);
+  account.main = mainAccount ? mainAccount.rsn : cleanRsn(mainRsn);
+  save();
+  return account;
+}
+
+/**
+ * Stop treating an account as an alt
+ */
+function clearMain(rsn) {
+  refresh();
+  const account = accounts.get(nameKey(rsn));
+  if (!account || !account.main) {
+    return false;
+  }
+  account.main = null;
+  pruneAccount(rsn);
+  save();
+  return true;
+}
+
+/**
+ * Flag (or unflag) an account as excluded from stats
+ */
+function setExcluded(rsn, excluded) {
+  refresh();
+  const account = getOrCreate(rsn);
+  account.excludeFromStats = !!excluded;
+  pruneAccount(rsn);
+  save();
+  return account;
+}
+
+/**
+ * All registered accounts, sorted by RSN
+ */
+function listAccounts() {
+  refresh();
+  return [...accounts.values()].sort((a, b) => a.rsn.localeCompare(b.rsn));
+}
+
+module.exports = {
+  resolvePlayer,
+  currentName,
+  recordRename,
+  getNameHistory,
+  listRenames,
+  setMain,
+  clearMain,
+  setExcluded,
+  listAccounts,
+};
@@ -0,0 +1,81 @@
+/**
+ * Local price table - the value of a drop when its message doesn't say
+ *
+ * Stored as a JSON file (PRICE_TABLE_PATH, prices.json in the data directory by default) mapping
+ * item names (the catalog name or one of its aliases) or item IDs to a gp value:
+ *   {
+ *     "prices": {
+ *       "Twisted bow": "1.2b",
+ *       "21000": 30000000,
+ *       "Dexterous prayer scroll": "25m"
+ *     }
+ *   }
+ * Values may use k/m/b suffixes. Entries naming no catalog item are skipped with a warning. The file is read again whenever it changes, so prices can be
+ * refreshed without a restart.
+ */
+
+const fs = require('fs');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { findItemByName, findItemInText, getItemById } = require('../catalog');
+const { parseGp } = require('../utils/gp');
+
+const PRICE_FILE = config.prices.path;
+
+let prices = new Map(); // item ID -> value in gp
+let loadedMtime = null;
+
+/**
+ * (Re)load the price file if it changed since the last read
+ */
+function refresh() {
+  let mtime;
+  try {
+    mtime = fs.statSync(PRICE_FILE).mtimeMs;
+  } catch (error) {
+    // No price file - drops without a value in their message stay without one
+    prices = new Map();
+    loadedMtime = null;
+    return;
+  }
+
+  if (mtime === loadedMtime) {
+    return;
+  }
+
+  try {
+    const saved = JSON.parse(fs.readFileSync(PRICE_FILE, 'utf8'));
+    const loaded = new Map();
+    for (const [key, price] of Object.entries(saved.prices || saved)) {
+      const item = /^\d+$/.test(key) ? getItemById(key) : findItemByName(key);
+      const value = parseGp(price);
+      if (!item || value === null) {
+        logger.warn(`Ignoring price table entry "${key}": ${item ? 'no valid price' : 'not a catalog item'}`);
+        continue;
+      }
+      loaded.set(item.id, value);
+    }
+    prices = loaded;
+    loadedMtime = mtime;
+    logger.info(`Loaded ${prices.size} price(s) from price table ${PRICE_FILE}`);
+  } catch (error) {
+    // Keep the previous prices rather than dropping every value
+    logger.error(`Failed to load price table from ${PRICE_FILE}:`, error.message);
+    loadedMtime = mtime;
+  }
+}
+
+/**
+ * Value of a drop according to the price table
+ * @param {Object} drop - { itemId, itemName }
+ * @returns {number|null} - Value in gp, or null if the table has no price for the item
+ */
+function getPrice(drop) {
+  refresh();
+  const item = getItemById(drop.itemId) || findItemInText(drop.itemName);
+  return item && prices.has(item.id) ? prices.get(item.id) : null;
+}
+
+module.exports = {
+  getPrice,
+};
@@ -0,0 +1,79 @@
+/**
+ * Posts a summary of every finalized raid to a Discord channel
+ * Enabled with ANNOUNCE_RAIDS=true; relies on the tracker's raidFinalized event, so each raid is
+ * announced exactly once, with everything that arrived during its settle period. When edited or
+ * deleted messages correct the raid later, the summary is edited, or deleted with the raid.
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const { RAIDS } = require('../catalog');
+const { raidEvents, recordAnnouncement } = require('./raidTracker');
+const { formatDrops, formatMode, getLootValue } = require('../utils/raidFormat');
+const { formatGp } = require('../utils/gp');
+
+/**
+ * One-message summary of a raid
+ */
+function formatAnnouncement(raid) {
+  const raidInfo = RAIDS[raid.raidType];
+  const details = [
+    raid.totalPoints ? `${raid.totalPoints.toLocaleString('en-US')} points` : null,
+    raid.completionTime || null,
+    raid.scale ? `scale ${raid.scale}` : null,
+    raid.newPersonalBest ? 'new personal best' : null,
+  ].filter(Boolean);
+
+  const lines = [`🏁 **${raidInfo.name}** (${formatMode(raid)}) - ${details.join(', ') || 'no details'}`];
+  if (raid.players.length > 0) {
+    lines.push(`Players: ${raid.players.map(player => player.main || player.name).join(', ')}`);
+  }
+  if (raid.drops.length > 0) {
+    const lootValue = getLootValue(raid.drops);
+    lines.push(`Loot: ${formatDrops(raid.drops)}${lootValue ? ` (${formatGp(lootValue)})` : ''}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Start announcing finalized raids through a logged-in Discord client
+ */
+function startRaidAnnouncements(client) {
+  if (!config.discord.announceRaids) {
+    return;
+  }
+
+  const fetchChannel = () => client.channels.fetch(config.discord.announceChannelId);
+
+  raidEvents.on('raidFinalized', (raid) => {
+    fetchChannel()
+      .then(channel => channel.send(formatAnnouncement(raid)))
+      .then(sent => recordAnnouncement(raid, sent.id))
+      .catch(error => logger.error(`Failed to announce raid ${raid.id}:`, error.message));
+  });
+
+  raidEvents.on('raidCorrected', (raid) => {
+    if (!raid.announcementId) {
+      return;
+    }
+    fetchChannel()
+      .then(channel => channel.messages.fetch(raid.announcementId))
+      .then(sent => sent.edit(formatAnnouncement(raid)))
+      .catch(error => logger.error(`Failed to correct the announcement of raid ${raid.id}:`, error.message));
+  });
+
+  raidEvents.on('raidRetracted', (raid) => {
+    if (!raid.announcementId) {
+      return;
+    }
+    fetchChannel()
+      .then(channel => channel.messages.fetch(raid.announcementId))
+      .then(sent => sent.delete())
+      .catch(error => logger.error(`Failed to delete the announcement of raid ${raid.id}:`, error.message));
+  });
+  logger.info(`Announcing finalized raids in channel ${config.discord.announceChannelId}`);
+}
+
+module.exports = {
+  startRaidAnnouncements,
+};
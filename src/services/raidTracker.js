@@ -0,0 +1,1936 @@
+/**
+ * Raid correlation - groups points, duration and loot messages into raids
+ * and hands the results to the configured output sinks
+ *
+ * Chambers of Xeric raids are created by their points message. Theatre of Blood and Tombs of
+ * Amascut have no points, so their completion time creates the raid. Messages only ever
+ * correlate with raids of the same raid type.
+ *
+ * Every raid goes through three states:
+ *   - collecting: created, still missing data it needs (CoX: points and duration; ToB/ToA: the time)
+ *   - complete: has everything it needs; late messages (other members' points, loot, pets, kill
+ *     counts) still join it during the settle period (RAID_SETTLE_MS)
+ *   - finalized: done - the raid leaves the buffer and the raidFinalized event fires
+ * A raid that never completes is finalized RAID_TIMEOUT_MS after it was created.
+ * Messages only ever join raids that are not finalized yet.
+ *
+ * Several teams can be raiding at once, so a message goes to a raid by the players it names (the
+ * looter, the reporting player or webhook) being on the raid's roster, then by its total points or
+ * time, and only by posting order when a single raid is open. A message that could still belong to
+ * several raids is held for review (!review) instead of guessed; its raids are not finalized until
+ * it is assigned, discarded or REVIEW_TIMEOUT_MS passes.
+ *
+ * Every raid remembers which Discord message contributed which field (see addContribution), so an
+ * edited or deleted message can be taken back out of its raid - also for the last finalized raids.
+ *
+ * Correlation runs on currentTime(): the wall clock, or while a backfill replays channel history
+ * (replayHistory), the time the replayed message was posted.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { MAX_PLAYERS, formatDrop, formatMode } = require('../utils/raidFormat');
+const { RAIDS, getRaidPet } = require('../catalog');
+const { loadState, saveState } = require('./stateStore');
+const playerRegistry = require('./playerRegistry');
+const killCountStore = require('./killCountStore');
+const priceTable = require('./priceTable');
+const { normalizeRsn, sameRsn } = require('../utils/rsn');
+const sinks = require('../sinks');
+
+// Raids that are not finalized yet, oldest first
+const recentRaids = [];
+const MAX_RAID_HISTORY = 10;
+// Raids finalized most recently, oldest first - kept so edited or deleted messages can still change them
+const finalizedRaids = [];
+const MAX_FINALIZED_HISTORY = 25;
+const RAID_SETTLE_PERIOD = config.raids.settleMs; // How long a complete raid still accepts late messages
+const RAID_TIMEOUT = config.raids.timeoutMs; // How long a raid may keep collecting before it is finalized anyway
+const FINALIZE_SWEEP_INTERVAL = 10000; // How often to look for raids that are due to be finalized
+const REVIEW_TIMEOUT = config.raids.reviewTimeoutMs; // How long a held message waits for review
+
+const RAID_STATES = {
+  COLLECTING: 'collecting',
+  COMPLETE: 'complete',
+  FINALIZED: 'finalized',
+};
+
+// Lifecycle events - 'raidFinalized' (raid) fires once per recorded raid, after the sinks archived it;
+// 'raidCorrected' and 'raidRetracted' (raid) when edited or deleted messages change a finalized raid
+const raidEvents = new EventEmitter();
+
+// Buffer for orphaned messages (duration/loot that arrive before points)
+const orphanedMessages = {
+  durations: [], // { timestamp, raidTime, olmTime, personalBest, isNewPersonalBest, scale, raidType, playerName } (+ *Ms fields)
+  loots: [],     // drop objects, see toDrop (+ mode, raidType)
+  splits: [],    // split objects of the raids in progress, see toSplit
+  killCounts: [] // { timestamp, raidType, mode, playerName, killCount } reported before the player's raid
+  // Every orphan also keeps the messageId of the message it came from
+};
+const ORPHAN_TIMEOUT = 10000; // 10 seconds - orphans older than this are discarded
+// Room splits arrive throughout the raid, long before its points message
+const SPLIT_TIMEOUT = 1800000; // 30 minutes without a new room - the raid was abandoned
+const SPLIT_ATTACH_WINDOW = 60000; // Late splits (e.g. Great Olm) still join a raid created this recently
+
+// Posting time of the message a backfill is replaying (ms), null while messages arrive live
+let replayClock = null;
+// The backfill running, if any: { knownRaids (raids the outputs already have), written, known }
+let replay = null;
+const KNOWN_RAID_WINDOW = 300000; // A replayed raid within 5 minutes of a logged raid with the same points or time is that raid
+
+// Messages that could belong to several open raids, oldest first
+// { id, heldAt, reason, players (names to match rosters against), candidateIds, data }
+const heldMessages = [];
+
+// Messages whose data another message had already reported, oldest first
+// { messageId, originalId, data } - when the original is deleted or edited, the duplicate takes its place
+const duplicateMessages = [];
+const MAX_DUPLICATE_MESSAGES = 500;
+
+/**
+ * Current time for correlation (ms)
+ */
+function currentTime() {
+  return replayClock ?? Date.now();
+}
+
+/**
+ * Run correlation on the clock of an earlier time (see currentTime), e.g. an edited message's posting time
+ */
+async function atTime(timestamp, task) {
+  const previous = replayClock;
+  replayClock = new Date(timestamp).getTime();
+  try {
+    return await task();
+  } finally {
+    replayClock = previous;
+  }
+}
+
+/**
+ * Build the drop object stored on a raid from parsed loot data
+ */
+function toDrop(data) {
+  return {
+    timestamp: data.timestamp,
+    playerName: data.playerName || null,
+    itemName: data.itemName,
+    itemId: data.itemId || null,
+    itemCategory: data.itemCategory || null,
+    itemValue: data.itemValue ?? null // gp, from the message or the price table
+  };
+}
+
+/**
+ * Build the split object stored on a raid from parsed room split data
+ */
+function toSplit(data) {
+  return {
+    timestamp: data.timestamp,
+    room: data.room,
+    roomKind: data.roomKind || null,
+    duration: data.duration || null,
+    durationMs: data.durationMs ?? null,
+    elapsed: data.elapsed || null,
+    elapsedMs: data.elapsedMs ?? null,
+    raidType: data.raidType || 'cox'
+  };
+}
+
+/**
+ * Key of a drop in a raid's contributions
+ */
+function dropKey(drop) {
+  return `${normalizeRsn(drop.playerName)}:${drop.itemId || drop.itemName}`;
+}
+
+/**
+ * Remember that a message contributed a field to a raid
+ * Fields: 'totalPoints', 'completion' (time, Olm time, personal best and scale), 'player',
+ * 'killCount' (keyed by player name), 'drop' (keyed by dropKey) and 'split' (keyed by room).
+ * A field reported by several messages (e.g. every member's webhook posts the time) stays on the
+ * raid until the last of them is edited away or deleted.
+ */
+function addContribution(raid, messageId, field, key = null) {
+  if (!messageId) {
+    return; // Data that didn't come from a Discord message
+  }
+  if (!raid.contributions) {
+    raid.contributions = [];
+  }
+  if (!raid.contributions.some(c => c.messageId === messageId && c.field === field && c.key === key)) {
+    raid.contributions.push({ messageId, field, key });
+  }
+}
+
+/**
+ * Add a drop to a raid
+ */
+function addDrop(raid, data) {
+  raid.drops.push(toDrop(data));
+  addContribution(raid, data.messageId, 'drop', dropKey(data));
+}
+
+/**
+ * Add a player to a raid
+ * @param {Object} player - Player entry, see toRaidPlayer
+ */
+function addPlayer(raid, player, messageId) {
+  raid.players.push(player);
+  addContribution(raid, messageId, 'player', player.name);
+}
+
+/**
+ * Apply the mode a message names (Challenge Mode, Hard Mode, Expert Mode, ...), or a mode-only drop
+ * A raid only ever moves away from normal - most messages don't mention the mode at all
+ */
+function applyMode(raid, data) {
+  if (data.mode && data.mode !== 'normal' && raid.mode !== data.mode) {
+    raid.mode = data.mode;
+    logger.info(`${RAIDS[raid.raidType].shortName} raid from ${raid.timestamp} identified as ${formatMode(raid)} mode`);
+  }
+}
+
+/**
+ * Copy the timings of a duration message onto a raid
+ */
+function applyDuration(raid, data) {
+  applyMode(raid, data);
+  raid.completionTime = data.raidTime;
+  raid.completionTimeMs = data.raidTimeMs ?? null;
+  raid.olmTime = data.olmTime || '';
+  raid.olmTimeMs = data.olmTimeMs ?? null;
+  raid.personalBest = data.personalBest || '';
+  raid.personalBestMs = data.personalBestMs ?? null;
+  raid.newPersonalBest = !!data.isNewPersonalBest;
+  if (data.scale) {
+    raid.scale = data.scale;
+  }
+  if (data.raidLevel) {
+    raid.raidLevel = data.raidLevel;
+  }
+  addContribution(raid, data.messageId, 'completion');
+  updateLifecycle(raid);
+}
+
+/**
+ * Remove the timings of a raid whose duration message was taken back
+ */
+function clearDuration(raid) {
+  raid.completionTime = '';
+  raid.completionTimeMs = null;
+  raid.olmTime = '';
+  raid.olmTimeMs = null;
+  raid.personalBest = '';
+  raid.personalBestMs = null;
+  raid.newPersonalBest = false;
+  raid.scale = '';
+}
+
+/**
+ * Build the player entry stored on a raid, applying the player registry
+ * @returns {Object|null} - { name, points, main }, or null for accounts excluded from stats
+ */
+function toRaidPlayer(player) {
+  // Renamed players are recorded under their current name so their stats stay together
+  const { name, main, excludeFromStats } = playerRegistry.resolvePlayer(player.name);
+  if (excludeFromStats) {
+    logger.info(`Skipping player ${player.name} (excluded from stats in the player registry)`);
+    return null;
+  }
+  return { name, points: player.points, main, killCount: player.killCount ?? null };
+}
+
+/**
+ * Check whether two drops are the same item for the same player
+ */
+function sameDrop(a, b) {
+  return sameRsn(a.playerName, b.playerName) &&
+    (a.itemId && b.itemId ? a.itemId === b.itemId : a.itemName === b.itemName);
+}
+
+/**
+ * Check whether a raid already has a drop recorded
+ * Repeats of a message from other webhooks are caught by the message ledger; this catches the same
+ * drop reported in different words (e.g. the raid's loot message and a clan broadcast). A different
+ * item is a real second drop and is kept.
+ */
+function hasDrop(raid, drop) {
+  return raid.drops.some(existing => sameDrop(existing, drop));
+}
+
+/**
+ * Check whether a player is on the roster of another open raid of the same type
+ * Orphans naming such a player belong to that team, not to the raid another team just created
+ */
+function isOnOtherRoster(raid, playerName) {
+  return !!playerName && recentRaids.some(other =>
+    other !== raid && other.raidType === raid.raidType && other.players.some(p => sameRsn(p.name, playerName))
+  );
+}
+
+/**
+ * Check whether a raid has all the data it needs
+ * Chambers of Xeric needs its points and its duration; the other raids are created from their time
+ */
+function isRaidComplete(raid) {
+  if (!raid.completionTime) {
+    return false;
+  }
+  return raid.raidType !== 'cox' || (raid.totalPoints !== null && raid.totalPoints !== undefined);
+}
+
+/**
+ * Move a collecting raid to complete once it has everything it needs
+ * The settle period starts at that moment. A complete raid that lost data again (its message was
+ * edited or deleted) goes back to collecting.
+ */
+function updateLifecycle(raid) {
+  if (raid.state === RAID_STATES.COLLECTING && isRaidComplete(raid)) {
+    raid.state = RAID_STATES.COMPLETE;
+    raid.completedAt = new Date(currentTime()).toISOString();
+    logger.info(`${RAIDS[raid.raidType].shortName} raid from ${raid.timestamp} is complete - finalizing in ${Math.round(RAID_SETTLE_PERIOD / 1000)}s`);
+  } else if (raid.state === RAID_STATES.COMPLETE && !isRaidComplete(raid)) {
+    raid.state = RAID_STATES.COLLECTING;
+    raid.completedAt = null;
+    logger.info(`${RAIDS[raid.raidType].shortName} raid from ${raid.timestamp} is missing data again - collecting`);
+  }
+}
+
+/**
+ * Check whether a raid is due to be finalized
+ */
+function isDueForFinalization(raid, now) {
+  if (raid.state === RAID_STATES.COMPLETE) {
+    return now - new Date(raid.completedAt).getTime() >= RAID_SETTLE_PERIOD;
+  }
+  return now - new Date(raid.createdAt).getTime() >= RAID_TIMEOUT;
+}
+
+// Restore correlation state saved before the last restart
+const savedState = loadState();
+recentRaids.push(...savedState.recentRaids);
+finalizedRaids.push(...savedState.finalizedRaids);
+heldMessages.push(...savedState.heldMessages);
+duplicateMessages.push(...savedState.duplicateMessages);
+Object.assign(orphanedMessages, savedState.orphanedMessages);
+
+/**
+ * Persist correlation state so a restart can pick up where it stopped
+ * Called after every mutation of a raid or the orphan buffers
+ */
+function persistState() {
+  saveState({ recentRaids, finalizedRaids, heldMessages, duplicateMessages, orphanedMessages });
+}
+
+// Minimum team size to log raids (filter out small scales)
+const MIN_TEAM_SIZE = 10;
+
+/**
+ * Check if a scale meets the minimum team size requirement
+ * @param {string} scale - Scale string like "11-15", "24+", "8-10", etc.
+ * @returns {boolean} - True if scale is at least MIN_TEAM_SIZE
+ */
+function isScaleLargeEnough(scale) {
+  if (!scale) return true; // If no scale info, allow it (we'll filter when scale is known)
+
+  // Extract the first number from scale (e.g., "11" from "11-15", "24" from "24+")
+  const match = scale.match(/^(\d+)/);
+  if (!match) return true; // Can't parse, allow it
+
+  const minPlayers = parseInt(match[1], 10);
+  return minPlayers >= MIN_TEAM_SIZE;
+}
+
+/**
+ * Clean up old orphaned messages
+ */
+function cleanOrphans() {
+  const now = currentTime();
+  const cutoff = now - ORPHAN_TIMEOUT;
+
+  // Clean old duration orphans
+  orphanedMessages.durations = orphanedMessages.durations.filter(orphan => {
+    const orphanTime = new Date(orphan.timestamp).getTime();
+    return orphanTime >= cutoff;
+  });
+
+  // Clean old loot orphans
+  orphanedMessages.loots = orphanedMessages.loots.filter(orphan => {
+    const orphanTime = new Date(orphan.timestamp).getTime();
+    return orphanTime >= cutoff;
+  });
+
+  // Clean old kill count orphans (the counts themselves are already in the kill count store)
+  orphanedMessages.killCounts = orphanedMessages.killCounts.filter(orphan => {
+    const orphanTime = new Date(orphan.timestamp).getTime();
+    return orphanTime >= cutoff;
+  });
+}
+
+/**
+ * Give the players of a raid the kill counts they reported before the raid existed
+ * (Chambers of Xeric posts the kill count just before the points message)
+ * @returns {boolean} - Whether any kill count was applied
+ */
+function applyPendingKillCounts(raid) {
+  let applied = false;
+
+  for (const player of raid.players) {
+    const index = orphanedMessages.killCounts.findIndex(orphan =>
+      orphan.raidType === raid.raidType && sameRsn(orphan.playerName, player.name)
+    );
+    if (index < 0) {
+      continue;
+    }
+
+    const orphan = orphanedMessages.killCounts.splice(index, 1)[0];
+    applyMode(raid, orphan);
+    player.killCount = orphan.killCount;
+    addContribution(raid, orphan.messageId, 'killCount', player.name);
+    logger.info(`Merged orphaned kill count ${orphan.killCount} of ${player.name} with raid`);
+    applied = true;
+  }
+
+  return applied;
+}
+
+/**
+ * Give a raid without a time the duration one of its players reported before joining it
+ * (a player's duration message can arrive before their points message)
+ * @returns {boolean} - Whether a duration was applied
+ */
+function applyPendingDuration(raid) {
+  if (raid.completionTime) {
+    return false;
+  }
+
+  const index = orphanedMessages.durations.findIndex(orphan =>
+    orphan.raidType === raid.raidType && raid.players.some(player => sameRsn(player.name, orphan.playerName))
+  );
+  if (index < 0) {
+    return false;
+  }
+
+  const orphan = orphanedMessages.durations.splice(index, 1)[0];
+  applyDuration(raid, orphan);
+  logger.info(`Merged orphaned duration ${orphan.raidTime} of ${orphan.playerName} with raid`);
+  return true;
+}
+
+/**
+ * Hand over the splits collected for the raid of a type in progress
+ * Splits left over from an abandoned raid are dropped instead
+ */
+function takePendingSplits(raidType) {
+  const splits = orphanedMessages.splits.filter(split => split.raidType === raidType);
+  orphanedMessages.splits = orphanedMessages.splits.filter(split => split.raidType !== raidType);
+
+  const lastSplit = splits[splits.length - 1];
+  if (!lastSplit || currentTime() - new Date(lastSplit.timestamp).getTime() > SPLIT_TIMEOUT) {
+    return [];
+  }
+  return splits;
+}
+
+/**
+ * Try to merge orphaned messages with a raid
+ * Only merges orphans that are very recent (within 3 seconds of raid creation)
+ * Prioritizes orphans from before the raid timestamp (arrived earlier)
+ */
+function mergeOrphansWithRaid(raid) {
+  let merged = false;
+  const raidTime = new Date(raid.timestamp).getTime();
+  const MERGE_WINDOW = 3000; // Only merge orphans within 3 seconds of raid creation
+
+  // Try to merge duration orphans (find closest one that arrived BEFORE this raid)
+  if (!raid.completionTime && orphanedMessages.durations.length > 0) {
+    // Find the orphan closest in time to this raid (within merge window)
+    // Prefer orphans that arrived BEFORE the raid (negative time diff)
+    let closestIndex = -1;
+    let closestTimeDiff = Infinity;
+
+    for (let i = 0; i < orphanedMessages.durations.length; i++) {
+      const orphan = orphanedMessages.durations[i];
+      if (orphan.raidType !== raid.raidType || isOnOtherRoster(raid, orphan.playerName)) {
+        continue;
+      }
+      const orphanTime = new Date(orphan.timestamp).getTime();
+      const timeDiff = raidTime - orphanTime; // Positive if orphan came before raid
+
+      // Only consider orphans that came BEFORE the raid (within window)
+      if (timeDiff >= 0 && timeDiff <= MERGE_WINDOW && timeDiff < closestTimeDiff) {
+        closestIndex = i;
+        closestTimeDiff = timeDiff;
+      }
+    }
+
+    if (closestIndex >= 0) {
+      const durationOrphan = orphanedMessages.durations.splice(closestIndex, 1)[0];
+      applyDuration(raid, durationOrphan);
+      logger.info(`Merged orphaned duration ${durationOrphan.raidTime} (scale: ${durationOrphan.scale || 'unknown'}) with raid (orphan was ${closestTimeDiff}ms earlier)`);
+      merged = true;
+    }
+  }
+
+  // Try to merge ALL loot orphans that arrived BEFORE this raid (within merge window)
+  if (orphanedMessages.loots.length > 0) {
+    // Find all orphans within the merge window that came BEFORE the raid
+    const matchingOrphans = [];
+
+    for (let i = orphanedMessages.loots.length - 1; i >= 0; i--) {
+      const orphan = orphanedMessages.loots[i];
+      if (orphan.raidType !== raid.raidType || isOnOtherRoster(raid, orphan.playerName)) {
+        continue;
+      }
+      const orphanTime = new Date(orphan.timestamp).getTime();
+      const timeDiff = raidTime - orphanTime; // Positive if orphan came before raid
+
+      // Only consider orphans that came BEFORE the raid (within window)
+      if (timeDiff >= 0 && timeDiff <= MERGE_WINDOW) {
+        matchingOrphans.push({ index: i, orphan, timeDiff });
+      }
+    }
+
+    // Process matching orphans (remove from array in reverse order to preserve indices)
+    if (matchingOrphans.length > 0) {
+      // Sort by time diff (closest first)
+      matchingOrphans.sort((a, b) => a.timeDiff - b.timeDiff);
+
+      for (const match of matchingOrphans) {
+        const lootOrphan = match.orphan;
+        const lootMessage = formatDrop(lootOrphan);
+
+        // Skip if this drop is already recorded on the raid
+        if (hasDrop(raid, lootOrphan)) {
+          logger.debug(`Orphan merge: ${lootMessage} already recorded - skipping duplicate`);
+          addContribution(raid, lootOrphan.messageId, 'drop', dropKey(lootOrphan));
+          continue;
+        }
+
+        applyMode(raid, lootOrphan);
+        addDrop(raid, lootOrphan);
+        logger.info(`Merged orphaned loot ${lootMessage} with raid (orphan was ${match.timeDiff}ms earlier)`);
+        merged = true;
+      }
+
+      // Remove matched orphans from the array (in reverse index order)
+      const indicesToRemove = matchingOrphans.map(m => m.index).sort((a, b) => b - a);
+      for (const idx of indicesToRemove) {
+        orphanedMessages.loots.splice(idx, 1);
+      }
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Create a raid entry and store it in recent raids
+ */
+function createRaidEntry(data) {
+  // Leave out accounts excluded in the player registry
+  const filteredPlayers = data.players
+    .map(toRaidPlayer)
+    .filter(player => player)
+    .slice(0, MAX_PLAYERS); // Max players based on constant
+
+  const raidType = data.raidType || 'cox';
+  const raid = {
+    id: crypto.randomUUID(),
+    timestamp: data.timestamp,
+    raidType, // 'cox', 'tob' or 'toa'
+    state: RAID_STATES.COLLECTING, // See RAID_STATES
+    createdAt: new Date(currentTime()).toISOString(),
+    completedAt: null, // When the raid became complete - the settle period starts here
+    mode: data.mode || 'normal', // See the raid's modes in catalog/raids.js, e.g. 'challenge' (CM)
+    raidLevel: data.raidLevel ?? null, // Tombs of Amascut invocation level
+    totalPoints: data.totalPoints,
+    completionTime: data.raidTime || '',
+    completionTimeMs: null,
+    olmTime: '', // Olm room duration
+    olmTimeMs: null,
+    personalBest: '', // Personal best reported with the duration
+    personalBestMs: null,
+    newPersonalBest: false,
+    scale: '', // Team size e.g., "11-15" or "24+"
+    drops: [], // See toDrop
+    splits: [], // Room-by-room timeline, see toSplit
+    players: [], // { name, points, main, killCount }, see toRaidPlayer
+    contributions: [], // { messageId, field, key }, see addContribution
+    published: false, // Whether sinks have been told about this raid yet
+    sheetName: null, // Tab the raid was written to
+    sheetRow: null,
+    addedToSheet: false
+  };
+
+  if (raid.totalPoints !== null && raid.totalPoints !== undefined) {
+    addContribution(raid, data.messageId, 'totalPoints');
+  }
+  for (const player of filteredPlayers) {
+    addPlayer(raid, player, data.messageId);
+  }
+  for (const split of takePendingSplits(raidType)) {
+    raid.splits.push(toSplit(split));
+    addContribution(raid, split.messageId, 'split', split.room);
+  }
+
+  applyPendingKillCounts(raid);
+  applyPendingDuration(raid);
+  updateLifecycle(raid);
+
+  // Add to recent raids buffer
+  recentRaids.push(raid);
+  persistState();
+
+  return raid;
+}
+
+/**
+ * Finalize a raid that left the buffer
+ * Finalized raids will not receive any more data, so sinks can archive them and the
+ * raidFinalized event tells everything else the raid is done
+ */
+async function finalizeRaid(raid) {
+  const wasComplete = raid.state === RAID_STATES.COMPLETE;
+  raid.state = RAID_STATES.FINALIZED;
+  raid.finalizedAt = new Date(currentTime()).toISOString();
+
+  // Raids that were never published (e.g. below the minimum scale) are simply dropped
+  if (!raid.published) {
+    logger.debug(`Dropping unpublished ${RAIDS[raid.raidType].shortName} raid from ${raid.timestamp}`);
+    return;
+  }
+
+  // Kept around so edited or deleted messages can still correct it
+  finalizedRaids.push(raid);
+  finalizedRaids.splice(0, finalizedRaids.length - MAX_FINALIZED_HISTORY);
+  persistState();
+
+  if (!wasComplete) {
+    logger.warn(`Finalizing ${RAIDS[raid.raidType].shortName} raid from ${raid.timestamp} without ${raid.completionTime ? 'its points' : 'a completion time'}`);
+  }
+  await sinks.raidFinalized(raid);
+  // Sinks may record where they wrote the raid (e.g. its split rows)
+  persistState();
+
+  emitRaidEvent('raidFinalized', raid);
+}
+
+/**
+ * Remember the Discord message announcing a finalized raid, so a correction can edit it - also after a restart
+ */
+function recordAnnouncement(raid, messageId) {
+  raid.announcementId = messageId;
+  persistState();
+}
+
+function emitRaidEvent(event, raid) {
+  try {
+    raidEvents.emit(event, raid);
+  } catch (error) {
+    logger.error(`Error in ${event} listener:`, error);
+  }
+}
+
+/**
+ * Finalize raids whose settle period (or collecting timeout) is over, or that were pushed out of the buffer
+ * Raids a held message could belong to stay open until the message is resolved
+ */
+async function finalizeExpiredRaids() {
+  const now = currentTime();
+  const heldCount = heldMessages.length;
+  expireHeldMessages(now);
+
+  const expired = recentRaids.filter((raid, index) =>
+    index < recentRaids.length - MAX_RAID_HISTORY || (isDueForFinalization(raid, now) && !isAwaitingReview(raid))
+  );
+  for (const raid of expired) {
+    recentRaids.splice(recentRaids.indexOf(raid), 1);
+  }
+
+  // Held messages whose raids were all pushed out can't be assigned any more
+  expireHeldMessages(now);
+
+  if (expired.length === 0 && heldMessages.length === heldCount) {
+    return;
+  }
+  persistState();
+
+  for (const raid of expired) {
+    await finalizeRaid(raid);
+  }
+}
+
+/**
+ * Feed raids the sinks already wrote (e.g. recent rows of the Raids tab) back into the buffer
+ * Covers restarts where the saved state is missing, so late messages update the existing
+ * row instead of appending a half-filled duplicate.
+ * Only raids still inside their settle period collect again. The rows don't say whether a raid
+ * was finalized, so older raids are restored as finalized without finalizing them again - they
+ * can still be corrected by edited and deleted messages.
+ */
+async function reconcileRecentRaids() {
+  const loadedRaids = await sinks.loadRecentRaids(config.reconcile.rows);
+  const now = Date.now();
+  let restored = 0;
+
+  for (const loadedRaid of loadedRaids) {
+    // Sheet timestamps only have minute precision - assume the end of the minute
+    const raidTime = Math.min(new Date(loadedRaid.timestamp).getTime() + 59000, now);
+    if (now - raidTime > RAID_TIMEOUT) {
+      continue;
+    }
+
+    // Already known from the saved state
+    if ([...recentRaids, ...finalizedRaids].some(raid => raid.id === loadedRaid.id ||
+      (raid.sheetRow && raid.sheetRow === loadedRaid.sheetRow && (raid.sheetName || 'Raids') === loadedRaid.sheetName)
+    )) {
+      continue;
+    }
+
+    const raid = {
+      ...loadedRaid,
+      // The same raid to outputs keyed by its ID; a row without one is identified by its position
+      id: loadedRaid.id || `${loadedRaid.sheetName}!${loadedRaid.sheetRow}`,
+      timestamp: new Date(raidTime).toISOString(),
+      state: RAID_STATES.COLLECTING,
+      createdAt: new Date(raidTime).toISOString(),
+      completedAt: null,
+      contributions: [], // The rows don't say which messages they came from
+      published: true
+    };
+
+    if (now - raidTime > RAID_SETTLE_PERIOD) {
+      raid.state = RAID_STATES.FINALIZED;
+      raid.finalizedAt = new Date(now).toISOString();
+      finalizedRaids.push(raid);
+      logger.info(`Recovered finalized raid at ${loadedRaid.sheetName} row ${loadedRaid.sheetRow} (${loadedRaid.totalPoints} points) from output`);
+    } else {
+      // A complete raid settles from its own time, not from the restart
+      if (isRaidComplete(raid)) {
+        raid.state = RAID_STATES.COMPLETE;
+        raid.completedAt = raid.timestamp;
+      }
+      recentRaids.push(raid);
+      logger.info(`Recovered raid at ${loadedRaid.sheetName} row ${loadedRaid.sheetRow} (${loadedRaid.totalPoints} points) from output`);
+    }
+    restored++;
+  }
+
+  if (restored > 0) {
+    recentRaids.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    finalizedRaids.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    finalizedRaids.splice(0, finalizedRaids.length - MAX_FINALIZED_HISTORY);
+    persistState();
+  }
+}
+
+/**
+ * Check whether a raid replayed by a backfill was already logged (e.g. by another instance of the bot)
+ */
+function isKnownRaid(raid) {
+  const raidTime = new Date(raid.timestamp).getTime();
+  return replay.knownRaids.some(known =>
+    known.raidType === raid.raidType &&
+    Math.abs(new Date(known.timestamp).getTime() - raidTime) <= KNOWN_RAID_WINDOW &&
+    ((raid.totalPoints !== null && known.totalPoints === raid.totalPoints) ||
+      (!!raid.completionTime && sameRaidTime(known, { raidTime: raid.completionTime, raidTimeMs: raid.completionTimeMs })))
+  );
+}
+
+/**
+ * Hand a raid to the sinks - as a new raid the first time, as an update afterwards
+ * A backfill doesn't write raids the outputs already have; their messages still join them
+ */
+async function publishRaid(raid) {
+  if (raid.alreadyLogged) {
+    return;
+  }
+  if (!raid.published && replay && isKnownRaid(raid)) {
+    raid.alreadyLogged = true;
+    replay.known++;
+    persistState();
+    logger.info(`${RAIDS[raid.raidType].shortName} raid from ${raid.timestamp} is already logged - not writing it again`);
+    return;
+  }
+
+  if (raid.published) {
+    await sinks.raidUpdated(raid);
+  } else {
+    raid.published = true;
+    if (replay) {
+      replay.written++;
+    }
+    await sinks.raidCreated(raid);
+  }
+
+  // Sinks may record where they wrote the raid (e.g. its sheet row)
+  persistState();
+}
+
+/**
+ * Check whether a raid still accepts messages
+ * Finalized raids have already left the buffer; raids created after the current time are live
+ * raids a backfill must not mix its messages into
+ */
+function acceptsMessages(raid) {
+  return raid.state !== RAID_STATES.FINALIZED && new Date(raid.timestamp).getTime() <= currentTime();
+}
+
+/**
+ * Raids of a type that still accept messages, oldest first
+ */
+function openRaids(raidType) {
+  return recentRaids.filter(raid => raid.raidType === raidType && acceptsMessages(raid));
+}
+
+/**
+ * Current names of the players a message names, strongest signal first
+ */
+function messageNames(...names) {
+  return names.filter(name => name).map(name => playerRegistry.currentName(name));
+}
+
+/**
+ * Most recent raid with one of the named players on its roster
+ * A player can only be in one raid at a time, so their latest raid is the one in progress
+ */
+function findRosterRaid(candidates, names) {
+  for (const name of names) {
+    const raid = candidates.filter(candidate => candidate.players.some(p => sameRsn(p.name, name))).pop();
+    if (raid) {
+      return raid;
+    }
+  }
+  return null;
+}
+
+/**
+ * Pick the raid a message belongs to out of the raids it could belong to
+ * Signals, strongest first: a named player on the roster, a single raid matching the message's
+ * content (e.g. the exact total points), then posting order - which only decides when just one
+ * raid is left. Anything else is ambiguous and must not be guessed.
+ * @param {Object[]} candidates - Open raids the message could belong to, oldest first
+ * @param {string[]} names - Players named by the message, see messageNames
+ * @param {Object[]} [preferred] - Candidates the message's content singles out
+ * @returns {{ raid: Object|null, ambiguous: boolean, candidates: Object[] }}
+ */
+function matchRaid(candidates, names, preferred = []) {
+  const raid = findRosterRaid(candidates, names) ||
+    (preferred.length === 1 ? preferred[0] : null) ||
+    (candidates.length === 1 ? candidates[0] : null);
+  return { raid, ambiguous: !raid && candidates.length > 1, candidates };
+}
+
+/**
+ * Find the raid for a loot drop
+ * Only the looter counts: a clan broadcast of the drop can be posted by any member's webhook,
+ * including members of another team
+ */
+function findRaidForLoot(lootData) {
+  // Loot only belongs to a raid of the raid type it drops from
+  return matchRaid(openRaids(lootData.raidType || 'cox'), messageNames(lootData.playerName));
+}
+
+/**
+ * Find an open raid by total points
+ * If totalPoints is provided, search for match within tolerance (game can report slightly different totals)
+ * If null, find the placeholder raid (raid without total points)
+ */
+function findRaidByTotalPoints(totalPoints, names = []) {
+  const POINTS_TOLERANCE = 500; // Allow up to 500 points difference (game reports different totals to each player)
+
+  // Only Chambers of Xeric has points
+  const candidates = openRaids('cox').filter(raid => {
+    if (totalPoints === null) {
+      // Looking for a placeholder raid (no total points yet)
+      return raid.totalPoints === null;
+    }
+    return raid.totalPoints !== null && Math.abs(raid.totalPoints - totalPoints) <= POINTS_TOLERANCE;
+  });
+
+  // Teams finishing with similar points - an exact total singles one out
+  const exact = totalPoints === null ? [] : candidates.filter(raid => raid.totalPoints === totalPoints);
+  return matchRaid(candidates, names, exact);
+}
+
+/**
+ * Short description of a message's data for the log and !review
+ */
+function describeMessage(data) {
+  switch (data.type) {
+    case 'points':
+      return `${data.totalPoints} points${data.players[0] ? ` from ${data.players[0].name}` : ''}`;
+    case 'duration':
+      return `${RAIDS[data.raidType || 'cox'].shortName} time ${data.raidTime}${data.playerName ? ` from ${data.playerName}` : ''}`;
+    case 'pet':
+      return `${data.itemName || 'pet'} of ${data.playerName}`;
+    default:
+      return formatDrop(data);
+  }
+}
+
+/**
+ * Hold a message that could belong to several raids until it is reviewed
+ * @param {Object} data - Parsed message data
+ * @param {Object[]} candidates - Open raids it could belong to
+ * @param {string[]} players - Names to match rosters against; the message is applied on its own
+ *   as soon as one of them joins a raid
+ * @param {string} reason - Why the message is ambiguous
+ */
+function holdForReview(data, candidates, players, reason) {
+  const entry = {
+    id: crypto.randomBytes(3).toString('hex'),
+    heldAt: new Date(currentTime()).toISOString(),
+    reason,
+    players,
+    candidateIds: candidates.map(raid => raid.id),
+    data
+  };
+  heldMessages.push(entry);
+  persistState();
+  logger.warn(`⚖️  Holding ${describeMessage(data)} for review: ${reason} (${config.discord.commandPrefix}review assign ${entry.id} <raid>)`);
+}
+
+/**
+ * Check whether a raid is a candidate of a held message - it is kept open until the message is resolved
+ */
+function isAwaitingReview(raid) {
+  return heldMessages.some(entry => entry.candidateIds.includes(raid.id));
+}
+
+/**
+ * Drop held messages nobody reviewed in time, or whose raids were all finalized
+ */
+function expireHeldMessages(now) {
+  for (const entry of [...heldMessages]) {
+    entry.candidateIds = entry.candidateIds.filter(id => recentRaids.some(raid => raid.id === id));
+
+    const age = now - new Date(entry.heldAt).getTime();
+    if (age >= REVIEW_TIMEOUT || entry.candidateIds.length === 0) {
+      heldMessages.splice(heldMessages.indexOf(entry), 1);
+      logger.warn(`Discarding held ${describeMessage(entry.data)} - ${entry.candidateIds.length === 0 ? 'its raids were finalized' : 'it was not reviewed in time'}`);
+    }
+  }
+}
+
+/**
+ * Add the reporting player of a points message to the raid it belongs to
+ * (and give a placeholder raid its total points)
+ */
+async function joinRaidWithPoints(raid, data) {
+  // The reporting player, as recorded on the raid (null if excluded from stats)
+  const newPlayer = data.players[0] ? toRaidPlayer(data.players[0]) : null;
+  let changed = false;
+
+  applyMode(raid, data);
+
+  // Update total points if it was a placeholder
+  if (raid.totalPoints === null) {
+    raid.totalPoints = data.totalPoints;
+    changed = true;
+    logger.info(`Updating placeholder raid with total points: ${data.totalPoints}`);
+    updateLifecycle(raid);
+  }
+  addContribution(raid, data.messageId, 'totalPoints');
+
+  // Add player to existing raid (if not already present and under limit)
+  if (newPlayer && raid.players.length >= MAX_PLAYERS) {
+    logger.warn(`Raid already has ${MAX_PLAYERS} players, cannot add ${newPlayer.name}`);
+  } else if (newPlayer && raid.players.some(p => sameRsn(p.name, newPlayer.name))) {
+    addContribution(raid, data.messageId, 'player', raid.players.find(p => sameRsn(p.name, newPlayer.name)).name);
+    logger.info(`Player ${newPlayer.name} already exists in raid (${raid.totalPoints} points)`);
+  } else if (newPlayer) {
+    addPlayer(raid, newPlayer, data.messageId);
+    applyPendingKillCounts(raid);
+    applyPendingDuration(raid);
+    changed = true;
+    logger.info(`Adding player ${newPlayer.name} to existing raid (${raid.totalPoints} points)`);
+  }
+  persistState();
+
+  if (!changed) {
+    return;
+  }
+
+  // Check if scale is large enough (at least MIN_TEAM_SIZE players)
+  // Challenge Mode raids are always small teams, so they're logged at any scale
+  if (raid.mode !== 'challenge' && !isScaleLargeEnough(raid.scale)) {
+    logger.info(`Skipping raid with scale ${raid.scale} (below ${MIN_TEAM_SIZE} player minimum)`);
+  } else {
+    await publishRaid(raid);
+    logger.info(`Updated raid outputs${newPlayer ? ` with new player ${newPlayer.name}` : ''}`);
+  }
+
+  await applyHeldMessages(raid);
+}
+
+/**
+ * Handle raid completion data
+ */
+async function handleRaidCompletion(data) {
+  // Prevent processing stale data (older than 5 minutes)
+  // This guards against duplicate webhook messages or retries
+  const dataAge = currentTime() - new Date(data.timestamp).getTime();
+  const MAX_DATA_AGE = 300000; // 5 minutes
+  if (dataAge > MAX_DATA_AGE) {
+    logger.warn(`Ignoring stale raid data from ${data.timestamp} (${Math.round(dataAge / 1000)}s old)`);
+    return null;
+  }
+
+  // Clean up old orphans
+  cleanOrphans();
+
+  // First check if a raid with this total points already exists, then for placeholder raids
+  const names = messageNames(data.players[0] && data.players[0].name, data.reportedBy);
+  let match = findRaidByTotalPoints(data.totalPoints, names);
+  if (!match.raid && !match.ambiguous) {
+    match = findRaidByTotalPoints(null, names);
+  }
+
+  if (match.ambiguous) {
+    holdForReview(data, match.candidates, names, `${match.candidates.length} open raids have about ${data.totalPoints} points`);
+    return null;
+  }
+
+  if (match.raid) {
+    await joinRaidWithPoints(match.raid, data);
+    return match.raid;
+  }
+
+  // Create new raid entry
+  const raid = createRaidEntry(data);
+  logger.info(`Creating new raid: ${raid.totalPoints} points, ${raid.players.length} player(s)`);
+
+  // Try to merge any orphaned messages with this new raid
+  const merged = mergeOrphansWithRaid(raid);
+  if (merged) {
+    logger.info('Merged orphaned messages with new raid');
+  }
+  persistState();
+
+  // Check if scale is large enough (at least MIN_TEAM_SIZE players)
+  // Challenge Mode raids are always small teams, so they're logged at any scale
+  if (raid.mode !== 'challenge' && !isScaleLargeEnough(raid.scale)) {
+    logger.info(`Skipping raid with scale ${raid.scale} (below ${MIN_TEAM_SIZE} player minimum)`);
+  } else if (raid.totalPoints !== null) {
+    // Publish if it has total points (required field)
+    await publishRaid(raid);
+  }
+
+  await applyHeldMessages(raid);
+
+  // Return the raid for potential chaining
+  return raid;
+}
+
+/**
+ * Copy a duration message onto the Chambers of Xeric raid it belongs to
+ */
+async function updateRaidDuration(raid, data) {
+  logger.info(`Updating raid${raid.totalPoints ? ` (${raid.totalPoints} points)` : ''} with duration: ${data.raidTime}, scale: ${data.scale || 'unknown'}`);
+
+  // Update the raid entry with duration and scale
+  applyDuration(raid, data);
+  persistState();
+
+  // If raid was already published, update the outputs
+  if (raid.published) {
+    await publishRaid(raid);
+    logger.info(`Updated raid outputs with duration: ${data.raidTime}`);
+  } else {
+    // Raid hasn't been published yet, just update the entry (will be included when published)
+    logger.debug(`Duration ${data.raidTime} will be included when raid is published`);
+  }
+}
+
+/**
+ * Handle duration/time update
+ * Every member's webhook posts the time, so the reporting player's raid (or a raid that already
+ * has the same time) means it is already recorded
+ */
+async function handleDurationUpdate(data) {
+  // Clean up old orphans
+  cleanOrphans();
+
+  const names = messageNames(data.playerName, data.reportedBy);
+  const open = openRaids('cox');
+  const ownRaid = findRosterRaid(open, names);
+
+  const recordedRaid = (ownRaid ? [ownRaid] : open).find(raid => raid.completionTime && sameRaidTime(raid, data));
+  if (recordedRaid) {
+    addContribution(recordedRaid, data.messageId, 'completion');
+    persistState();
+    logger.debug(`Duration ${data.raidTime} already recorded`);
+    return;
+  }
+
+  let targetRaid = null;
+  if (ownRaid) {
+    // A different time than the player's raid has is the time of their next raid, whose points are on the way
+    targetRaid = ownRaid.completionTime ? null : ownRaid;
+  } else {
+    // Nobody on a roster posted it - only an open raid without a time can be its raid
+    const match = matchRaid(open.filter(raid => !raid.completionTime), names);
+    if (match.ambiguous) {
+      holdForReview(data, match.candidates, names, `${match.candidates.length} open raids are missing their duration`);
+      return;
+    }
+    targetRaid = match.raid;
+  }
+
+  if (targetRaid) {
+    await updateRaidDuration(targetRaid, data);
+  } else {
+    // No raid found yet - add to orphan buffer
+    logger.info(`No raid found for duration ${data.raidTime}, adding to orphan buffer`);
+    orphanedMessages.durations.push({
+      timestamp: data.timestamp,
+      raidTime: data.raidTime,
+      raidTimeMs: data.raidTimeMs ?? null,
+      olmTime: data.olmTime || null,
+      olmTimeMs: data.olmTimeMs ?? null,
+      personalBest: data.personalBest || null,
+      personalBestMs: data.personalBestMs ?? null,
+      isNewPersonalBest: !!data.isNewPersonalBest,
+      scale: data.scale || null,
+      mode: data.mode || null,
+      raidType: 'cox',
+      playerName: names[0] || null,
+      messageId: data.messageId || null
+    });
+    persistState();
+  }
+}
+
+/**
+ * Check whether two reports of a raid's completion time are the same time
+ */
+function sameRaidTime(raid, data) {
+  if (raid.completionTimeMs !== null && data.raidTimeMs !== null && data.raidTimeMs !== undefined) {
+    return raid.completionTimeMs === data.raidTimeMs;
+  }
+  return raid.completionTime === data.raidTime;
+}
+
+/**
+ * Add the reporting player of a completion without points to the raid it belongs to
+ */
+async function joinTimedRaid(raid, data) {
+  const raidName = RAIDS[raid.raidType].shortName;
+  const newPlayer = data.playerName ? toRaidPlayer({ name: data.playerName, points: null }) : null;
+  const knownPlayer = newPlayer && raid.players.find(p => sameRsn(p.name, newPlayer.name));
+  if (!newPlayer || raid.players.length >= MAX_PLAYERS || knownPlayer) {
+    addContribution(raid, data.messageId, 'completion');
+    if (knownPlayer) {
+      addContribution(raid, data.messageId, 'player', knownPlayer.name);
+    }
+    persistState();
+    logger.debug(`${raidName} completion ${data.raidTime} already recorded`);
+    return;
+  }
+
+  applyMode(raid, data);
+  addPlayer(raid, newPlayer, data.messageId);
+  if (raid.completionTime) {
+    addContribution(raid, data.messageId, 'completion');
+  } else {
+    applyDuration(raid, data); // Its time was taken back by an edited or deleted message
+  }
+  applyPendingKillCounts(raid);
+  logger.info(`Adding player ${newPlayer.name} to ${raidName} raid (${raid.completionTime})`);
+
+  persistState();
+  await publishRaid(raid);
+  await applyHeldMessages(raid);
+}
+
+/**
+ * Handle the completion of a raid without a points message (Theatre of Blood, Tombs of Amascut)
+ * Every member's webhook reports the completion, so a recent raid of the same type that finished
+ * in the same time is the same raid - the reporting player is added to it
+ */
+async function handleTimedRaidCompletion(data) {
+  // Clean up old orphans
+  cleanOrphans();
+
+  const raidName = RAIDS[data.raidType].shortName;
+  const names = messageNames(data.playerName, data.reportedBy);
+  const open = openRaids(data.raidType);
+
+  // A raid of the reporting player with another time is their previous raid
+  const ownRaid = findRosterRaid(open, names);
+  if (ownRaid && sameRaidTime(ownRaid, data)) {
+    await joinTimedRaid(ownRaid, data);
+    return;
+  }
+
+  const match = matchRaid(open.filter(candidate => sameRaidTime(candidate, data)), []);
+  if (match.ambiguous) {
+    holdForReview(data, match.candidates, names, `${match.candidates.length} open ${raidName} raids finished in ${data.raidTime}`);
+    return;
+  }
+
+  if (match.raid) {
+    await joinTimedRaid(match.raid, data);
+    return;
+  }
+
+  const raid = createRaidEntry({
+    ...data,
+    totalPoints: null,
+    players: data.playerName ? [{ name: data.playerName, points: null }] : []
+  });
+  applyDuration(raid, data);
+  logger.info(`Creating new ${raidName} raid: ${raid.completionTime} (${formatMode(raid)} mode), ${raid.players.length} player(s)`);
+
+  if (mergeOrphansWithRaid(raid)) {
+    logger.info('Merged orphaned messages with new raid');
+  }
+
+  persistState();
+  await publishRaid(raid);
+  await applyHeldMessages(raid);
+}
+
+/**
+ * Fill in the value of a drop whose message doesn't say from the local price table
+ */
+function withPrice(data) {
+  if (data.itemValue === null || data.itemValue === undefined) {
+    return { ...data, itemValue: priceTable.getPrice(data) };
+  }
+  return data;
+}
+
+/**
+ * Add a drop to the raid it belongs to
+ */
+async function addLootToRaid(raid, data) {
+  // Create the full loot message format: "(playerName) - itemName"
+  const lootMessage = formatDrop(data);
+
+  // The same drop reported twice is recorded once
+  if (hasDrop(raid, data)) {
+    addContribution(raid, data.messageId, 'drop', dropKey(data));
+    persistState();
+    logger.debug(`${lootMessage} already recorded in this raid - skipping duplicate`);
+    return;
+  }
+
+  logger.info(`Matching loot ${data.itemName} to raid from ${raid.timestamp}`);
+
+  if (raid.drops.length > 0) {
+    logger.info(`Added additional loot drop: ${lootMessage}`);
+  }
+  applyMode(raid, data);
+  addDrop(raid, data);
+  persistState();
+
+  // If raid was already published, update the outputs
+  if (raid.published) {
+    await publishRaid(raid);
+    logger.info(`Updated raid outputs with loot: ${lootMessage}`);
+  } else {
+    // Raid hasn't been published yet, just update the entry (will be included when published)
+    logger.debug(`Loot ${lootMessage} will be included when raid is published`);
+  }
+}
+
+/**
+ * Handle loot drop data
+ */
+async function handleLootDrop(data) {
+  // Clean up old orphans
+  cleanOrphans();
+
+  if (data.playerName) {
+    data = { ...data, playerName: playerRegistry.currentName(data.playerName) };
+  }
+
+  // Messages without a value fall back to the local price table
+  data = withPrice(data);
+
+  const match = findRaidForLoot(data);
+  if (match.ambiguous) {
+    holdForReview(data, match.candidates, messageNames(data.playerName),
+      `${data.playerName} is on none of the ${match.candidates.length} open ${RAIDS[data.raidType || 'cox'].shortName} raids`);
+    return;
+  }
+
+  if (!match.raid) {
+    // No raid found yet - add to orphan buffer (but skip if the same drop is already buffered)
+    if (orphanedMessages.loots.some(orphan => sameDrop(orphan, data))) {
+      logger.debug(`Orphan buffer already has ${formatDrop(data)} - skipping duplicate`);
+      return;
+    }
+    logger.info(`No raid found for loot ${formatDrop(data)}, adding to orphan buffer`);
+    orphanedMessages.loots.push({
+      ...toDrop(data),
+      mode: data.mode || null,
+      raidType: data.raidType || 'cox',
+      messageId: data.messageId || null
+    });
+    persistState();
+    return;
+  }
+
+  await addLootToRaid(match.raid, data);
+}
+
+/**
+ * Loot data for a pet drop from a raid type
+ */
+function toPetLoot(data, raidType) {
+  const pet = data.itemName ? { name: data.itemName, id: data.itemId } : getRaidPet(raidType);
+  return {
+    timestamp: data.timestamp,
+    type: 'loot',
+    playerName: data.playerName,
+    itemName: pet.name,
+    itemId: pet.id,
+    itemCategory: 'pet',
+    itemValue: null,
+    raidType,
+    mode: null,
+    messageId: data.messageId
+  };
+}
+
+/**
+ * Handle a pet drop
+ * "You have a funny feeling like you're being followed" names neither the pet nor the raid, so
+ * both come from the raid the player is in (Chambers of Xeric if no raid is open). With several
+ * raid types open and the player on none of their rosters, the pet is held for review.
+ * The pet is then recorded like any other drop.
+ */
+async function handlePetDrop(data) {
+  data = { ...data, playerName: playerRegistry.currentName(data.playerName) };
+
+  let raidType = data.raidType;
+  if (!raidType) {
+    const open = recentRaids.filter(acceptsMessages);
+    const ownRaid = findRosterRaid(open, [data.playerName]);
+    const raidTypes = [...new Set(open.map(raid => raid.raidType))];
+
+    if (ownRaid) {
+      raidType = ownRaid.raidType;
+    } else if (raidTypes.length > 1) {
+      holdForReview(data, open, [data.playerName], `${data.playerName} is on none of the open raids, which are of ${raidTypes.length} raid types`);
+      return;
+    } else {
+      raidType = raidTypes[0] || 'cox';
+    }
+  }
+
+  const loot = toPetLoot(data, raidType);
+  logger.info(`🐾 ${data.playerName} received ${loot.itemName}${data.duplicate ? ' (already owned)' : ''}`);
+
+  await handleLootDrop(loot);
+}
+
+/**
+ * Apply a message to a raid it is known to belong to (a held message once reviewed, an edited
+ * message to the raid it was applied to before)
+ */
+async function applyMessageToRaid(raid, data) {
+  switch (data.type) {
+    case 'points':
+      return joinRaidWithPoints(raid, data);
+    case 'duration':
+      return raid.raidType === 'cox' ? updateRaidDuration(raid, data) : joinTimedRaid(raid, data);
+    case 'pet':
+      return addLootToRaid(raid, withPrice(toPetLoot(data, raid.raidType)));
+    case 'split':
+      return addSplitToRaid(raid, data);
+    case 'killcount': {
+      // Recorded even when the store already has the count - it is being re-applied, e.g. after an edit
+      const tracked = await trackKillCount(data);
+      return tracked && applyKillCountToRaid(raid, { ...data, playerName: tracked.name });
+    }
+    default:
+      return addLootToRaid(raid, data);
+  }
+}
+
+/**
+ * Apply the held messages that a raid's roster now settles - one of the players they name joined it
+ */
+async function applyHeldMessages(raid) {
+  const settled = heldMessages.filter(entry =>
+    (!entry.data.raidType || entry.data.raidType === raid.raidType) &&
+    entry.players.some(name => raid.players.some(player => sameRsn(player.name, name)))
+  );
+
+  for (const entry of settled) {
+    // Applying a message can add a player and settle more messages on its own
+    if (!heldMessages.includes(entry)) {
+      continue;
+    }
+    heldMessages.splice(heldMessages.indexOf(entry), 1);
+    persistState();
+    logger.info(`Held ${describeMessage(entry.data)} belongs to the raid from ${raid.timestamp} - applying it`);
+    await applyMessageToRaid(raid, entry.data);
+  }
+}
+
+/**
+ * Messages held for review, oldest first, each with the raids it could belong to
+ * @returns {Array<{ id, heldAt, reason, description, candidates: Object[] }>}
+ */
+function listHeldMessages() {
+  return heldMessages.map(entry => ({
+    id: entry.id,
+    heldAt: entry.heldAt,
+    reason: entry.reason,
+    description: describeMessage(entry.data),
+    candidates: entry.candidateIds.map(id => recentRaids.find(raid => raid.id === id)).filter(raid => raid)
+  }));
+}
+
+/**
+ * Take a held message out of the review list
+ */
+function takeHeldMessage(id) {
+  const index = heldMessages.findIndex(entry => entry.id === String(id).toLowerCase());
+  if (index < 0) {
+    throw new Error(`No held message with ID ${id}`);
+  }
+  return heldMessages.splice(index, 1)[0];
+}
+
+/**
+ * Apply a held message to one of its raids, as decided by a reviewer
+ * @param {string} id - Held message ID
+ * @param {number} choice - Position of the raid in the message's candidate list, starting at 1
+ * @returns {Promise<Object>} - The raid the message was applied to
+ */
+async function assignHeldMessage(id, choice) {
+  const held = listHeldMessages().find(entry => entry.id === String(id).toLowerCase());
+  const raid = held && held.candidates[choice - 1];
+  if (held && !raid) {
+    throw new Error(`Held message ${held.id} has no raid ${choice} (choose 1-${held.candidates.length})`);
+  }
+
+  const entry = takeHeldMessage(id);
+  persistState();
+  logger.info(`Held ${describeMessage(entry.data)} assigned to the raid from ${raid.timestamp} by review`);
+  await applyMessageToRaid(raid, entry.data);
+  return raid;
+}
+
+/**
+ * Drop a held message, as decided by a reviewer
+ * @returns {string} - Description of the dropped message
+ */
+function discardHeldMessage(id) {
+  const entry = takeHeldMessage(id);
+  persistState();
+  logger.info(`Held ${describeMessage(entry.data)} discarded by review`);
+  return describeMessage(entry.data);
+}
+
+/**
+ * Record a kill count in the kill count store
+ * A jump of more than one means the tracker missed raids of that player
+ * @returns {Promise<Object|null>} - { name (the player's current name), stale (the store already
+ *   had the count) }, or null for players excluded from stats
+ */
+async function trackKillCount(data) {
+  const { name, excludeFromStats } = playerRegistry.resolvePlayer(data.playerName);
+  if (excludeFromStats) {
+    logger.debug(`Skipping kill count of ${data.playerName} (excluded from stats in the player registry)`);
+    return null;
+  }
+
+  const raidName = RAIDS[data.raidType].shortName;
+  const { gap, stale } = killCountStore.recordKillCount({
+    player: name,
+    raidType: data.raidType,
+    mode: data.mode || 'normal',
+    killCount: data.killCount,
+    timestamp: data.timestamp
+  }, playerRegistry.getNameHistory(name));
+  if (stale) {
+    return { name, stale };
+  }
+
+  if (gap) {
+    logger.warn(`${name}'s ${raidName} kill count jumped from ${gap.from} to ${gap.to} - ${gap.missed} raid(s) were not tracked`);
+  }
+  await sinks.killCountsUpdated(killCountStore.listKillCounts());
+  return { name, stale };
+}
+
+/**
+ * Attach a kill count to its player on a raid
+ */
+async function applyKillCountToRaid(raid, data) {
+  const raidName = RAIDS[raid.raidType].shortName;
+  const player = raid.players.find(candidate => sameRsn(candidate.name, data.playerName));
+  if (!player) {
+    logger.debug(`${data.playerName} is not on the ${raidName} raid from ${raid.timestamp} - not recording kill count ${data.killCount}`);
+    return;
+  }
+
+  applyMode(raid, { mode: data.mode || 'normal' });
+  player.killCount = data.killCount;
+  addContribution(raid, data.messageId, 'killCount', player.name);
+  persistState();
+  logger.info(`Recorded ${raidName} kill count ${data.killCount} of ${data.playerName} on raid from ${raid.timestamp}`);
+
+  if (raid.published) {
+    await publishRaid(raid);
+  }
+}
+
+/**
+ * Handle a player's kill count after a raid
+ * The count is kept as the player's latest kill count, and shown on the player's entry in the current raid
+ */
+async function handleKillCount(data) {
+  // Clean up old orphans
+  cleanOrphans();
+
+  const tracked = await trackKillCount(data);
+  if (!tracked) {
+    return;
+  }
+  const { name, stale } = tracked;
+  const mode = data.mode || 'normal';
+  if (stale) {
+    // Every member's webhook may forward the same message
+    logger.debug(`${RAIDS[data.raidType].shortName} kill count ${data.killCount} of ${name} already recorded`);
+    return;
+  }
+
+  const raid = openRaids(data.raidType)
+    .filter(candidate => candidate.players.some(player => sameRsn(player.name, name)))
+    .pop();
+
+  if (!raid) {
+    // The points message creating the raid may still be on its way
+    logger.info(`No raid found for kill count ${data.killCount} of ${name}, adding to orphan buffer`);
+    orphanedMessages.killCounts = orphanedMessages.killCounts.filter(orphan =>
+      orphan.raidType !== data.raidType || !sameRsn(orphan.playerName, name)
+    );
+    orphanedMessages.killCounts.push({
+      timestamp: data.timestamp,
+      raidType: data.raidType,
+      mode,
+      playerName: name,
+      killCount: data.killCount,
+      messageId: data.messageId || null
+    });
+    persistState();
+    return;
+  }
+
+  await applyKillCountToRaid(raid, { ...data, playerName: name });
+}
+
+/**
+ * Add a room split to a raid
+ */
+async function addSplitToRaid(raid, data) {
+  const split = toSplit(data);
+  const describe = `${split.room}${split.duration ? ` (${split.duration})` : ''}`;
+
+  // Another message may already report the room
+  if (raid.splits.some(existing => existing.room === split.room)) {
+    addContribution(raid, data.messageId, 'split', split.room);
+    persistState();
+    logger.debug(`Split ${describe} already recorded in this raid - skipping duplicate`);
+    return;
+  }
+
+  logger.info(`Adding split ${describe} to raid from ${raid.timestamp}`);
+  applyMode(raid, data);
+  raid.splits.push(split);
+  addContribution(raid, data.messageId, 'split', split.room);
+  persistState();
+
+  if (raid.published) {
+    await publishRaid(raid);
+  }
+}
+
+/**
+ * Handle room split data
+ * Splits are collected until the raid's points message creates the raid; a split that arrives
+ * just after (e.g. "Great Olm complete") is added to that raid directly.
+ */
+async function handleRoomSplit(data) {
+  const now = currentTime();
+  const split = toSplit(data);
+  const describe = `${split.room}${split.duration ? ` (${split.duration})` : ''}`;
+
+  // A raid that was created moments ago may still be missing its last room
+  const latestRaid = recentRaids.filter(raid => raid.raidType === split.raidType && acceptsMessages(raid)).pop();
+  if (latestRaid &&
+      now - new Date(latestRaid.timestamp).getTime() <= SPLIT_ATTACH_WINDOW &&
+      !latestRaid.splits.some(existing => existing.room === split.room)) {
+    await addSplitToRaid(latestRaid, data);
+    return;
+  }
+
+  // Splits of different raid types (e.g. a CoX and a ToB team raiding at once) are kept apart
+  const pending = orphanedMessages.splits.filter(existing => existing.raidType === split.raidType);
+  const previous = pending.find(existing => existing.room === split.room);
+  const lastSplit = pending[pending.length - 1];
+
+  if (previous && previous.durationMs === split.durationMs) {
+    // Every member's webhook forwards the same room message
+    logger.debug(`Split ${describe} already recorded - skipping duplicate`);
+    return;
+  }
+
+  if (previous || (lastSplit && now - new Date(lastSplit.timestamp).getTime() > SPLIT_TIMEOUT)) {
+    // A room we already have (or a long silence) means a new raid started without the last one completing
+    logger.info(`Discarding ${pending.length} split(s) from an unfinished ${RAIDS[split.raidType].shortName} raid`);
+    orphanedMessages.splits = orphanedMessages.splits.filter(existing => existing.raidType !== split.raidType);
+  }
+
+  logger.info(`Recorded split ${describe} for the raid in progress`);
+  orphanedMessages.splits.push({ ...split, messageId: data.messageId || null });
+  persistState();
+}
+
+/**
+ * Check whether a raid has no data left
+ */
+function isRaidEmpty(raid) {
+  return raid.players.length === 0 && raid.drops.length === 0 && !raid.completionTime &&
+    (raid.totalPoints === null || raid.totalPoints === undefined);
+}
+
+/**
+ * Take the data of a message back out of a raid
+ * A field stays on the raid as long as another message still reports it
+ * @returns {boolean} - Whether the message had contributed to the raid
+ */
+function retractFromRaid(raid, messageId) {
+  const retracted = raid.contributions.filter(contribution => contribution.messageId === messageId);
+  if (retracted.length === 0) {
+    return false;
+  }
+  raid.contributions = raid.contributions.filter(contribution => contribution.messageId !== messageId);
+
+  for (const { field, key } of retracted) {
+    if (raid.contributions.some(contribution => contribution.field === field && contribution.key === key)) {
+      continue;
+    }
+
+    switch (field) {
+      case 'totalPoints':
+        raid.totalPoints = null;
+        break;
+      case 'completion':
+        clearDuration(raid);
+        break;
+      case 'player':
+        raid.players = raid.players.filter(player => !sameRsn(player.name, key));
+        break;
+      case 'killCount': {
+        const player = raid.players.find(candidate => sameRsn(candidate.name, key));
+        if (player) {
+          player.killCount = null;
+        }
+        break;
+      }
+      case 'drop':
+        raid.drops = raid.drops.filter(drop => dropKey(drop) !== key);
+        break;
+      case 'split':
+        raid.splits = raid.splits.filter(split => split.room !== key);
+        break;
+    }
+  }
+  updateLifecycle(raid);
+
+  logger.info(`Took the data of message ${messageId} back out of the ${RAIDS[raid.raidType].shortName} raid from ${raid.timestamp}`);
+  return true;
+}
+
+/**
+ * Take a message's data out of every raid, orphan buffer and review entry it went into
+ * @returns {Object[]} - Raids that changed
+ */
+function retractFromState(messageId) {
+  // A duplicate that changes hands the messages linked to it on to its own original
+  const link = duplicateMessages.find(duplicate => duplicate.messageId === messageId);
+  if (link) {
+    duplicateMessages.splice(duplicateMessages.indexOf(link), 1);
+    for (const duplicate of duplicateMessages.filter(other => other.originalId === messageId)) {
+      duplicate.originalId = link.originalId;
+    }
+  }
+
+  for (const kind of Object.keys(orphanedMessages)) {
+    orphanedMessages[kind] = orphanedMessages[kind].filter(orphan => orphan.messageId !== messageId);
+  }
+  for (const entry of heldMessages.filter(held => held.data.messageId === messageId)) {
+    heldMessages.splice(heldMessages.indexOf(entry), 1);
+    logger.info(`Dropping held ${describeMessage(entry.data)} - its message changed`);
+  }
+
+  const changed = [...recentRaids, ...finalizedRaids].filter(raid => retractFromRaid(raid, messageId));
+  persistState();
+  return changed;
+}
+
+/**
+ * Hand a raid that lost data to the sinks
+ * A raid with nothing left is removed - sinks that wrote it take it back out as well
+ */
+async function publishRetraction(raid) {
+  const wasFinalized = raid.state === RAID_STATES.FINALIZED && raid.published;
+
+  if (!isRaidEmpty(raid)) {
+    persistState();
+    if (raid.published) {
+      await publishRaid(raid);
+    }
+    if (wasFinalized) {
+      emitRaidEvent('raidCorrected', raid);
+    }
+    return;
+  }
+
+  for (const raids of [recentRaids, finalizedRaids]) {
+    if (raids.includes(raid)) {
+      raids.splice(raids.indexOf(raid), 1);
+    }
+  }
+  persistState();
+  logger.info(`Removed the ${RAIDS[raid.raidType].shortName} raid from ${raid.timestamp} - none of its messages are left`);
+
+  if (raid.published) {
+    await sinks.raidRetracted(raid);
+  }
+  if (wasFinalized) {
+    emitRaidEvent('raidRetracted', raid);
+  }
+}
+
+/**
+ * Remember a message whose data another message had already applied
+ * The data isn't applied again; it is applied if the original message is deleted or edited
+ * @param {Object} data - Parsed data, with messageId and duplicateOf (the original message)
+ */
+function linkDuplicate(data) {
+  const { duplicateOf, ...duplicate } = data;
+  duplicateMessages.push({ messageId: data.messageId, originalId: duplicateOf, data: duplicate });
+  duplicateMessages.splice(0, duplicateMessages.length - MAX_DUPLICATE_MESSAGES);
+  persistState();
+  logger.debug(`Linked ${describeMessage(data)} of message ${data.messageId} to message ${duplicateOf}`);
+}
+
+/**
+ * Take the data of the messages that duplicate a message out of the duplicate list
+ */
+function takeDuplicates(messageId) {
+  const duplicates = duplicateMessages.filter(duplicate => duplicate.originalId === messageId);
+  for (const duplicate of duplicates) {
+    duplicateMessages.splice(duplicateMessages.indexOf(duplicate), 1);
+  }
+  return duplicates.map(duplicate => duplicate.data);
+}
+
+/**
+ * Kill count carried by a duration message (Dink kill count notifications and combined game messages)
+ * @returns {Object|null} - Kill count data
+ */
+function embeddedKillCount(data) {
+  if (data.killCount === null || data.killCount === undefined || !data.playerName) {
+    return null;
+  }
+  return {
+    timestamp: data.timestamp,
+    type: 'killcount',
+    raidType: data.raidType || 'cox',
+    mode: data.mode || 'normal',
+    killCount: data.killCount,
+    playerName: data.playerName,
+    messageId: data.messageId
+  };
+}
+
+/**
+ * Apply data of a changed message, preferring the raids the message was applied to before
+ * Data of the same raid type goes to that raid, so correcting e.g. a mistyped time doesn't move
+ * the message to another raid; anything else is correlated like a new message, at the time the
+ * message was posted.
+ * @param {Object[]} changed - Raids the message's earlier data was taken out of
+ */
+async function applyToRaids(changed, items) {
+  for (const data of items) {
+    const raid = changed.find(candidate =>
+      (!data.raidType || candidate.raidType === data.raidType) &&
+      (recentRaids.includes(candidate) || finalizedRaids.includes(candidate))
+    );
+    if (!raid || data.duplicateOf || data.type === 'death') {
+      await atTime(data.timestamp, () => appendToSheet(data));
+      continue;
+    }
+
+    const named = data.playerName ? { ...data, playerName: playerRegistry.currentName(data.playerName) } : data;
+    await applyMessageToRaid(raid, data.type === 'loot' ? withPrice(named) : named);
+
+    const killCount = data.type === 'duration' && embeddedKillCount(data);
+    if (killCount) {
+      await applyMessageToRaid(raid, killCount);
+    }
+  }
+}
+
+/**
+ * Take back everything a deleted message contributed
+ * Also works for the last MAX_FINALIZED_HISTORY finalized raids; their rows are rewritten
+ * @param {string} messageId - Discord message ID
+ * @returns {Promise<Object[]>} - Raids that changed
+ */
+async function retractMessage(messageId) {
+  const changed = retractFromState(messageId);
+
+  // Messages that reported the same data still stand - they take the deleted message's place
+  await applyToRaids(changed, takeDuplicates(messageId));
+
+  for (const raid of changed) {
+    await publishRetraction(raid);
+  }
+  return changed;
+}
+
+/**
+ * Replace what an edited message contributed with its new data (see applyToRaids)
+ * @param {string} messageId - Discord message ID
+ * @param {Object[]} parsed - Data parsed from the edited message
+ */
+async function replaceMessage(messageId, parsed) {
+  const changed = retractFromState(messageId);
+  await applyToRaids(changed, [...parsed, ...takeDuplicates(messageId)]);
+
+  for (const raid of changed) {
+    await publishRetraction(raid);
+  }
+}
+
+/**
+ * Main function to handle parsed data
+ * Kept under its original name - callers don't need to know where the data ends up
+ */
+async function appendToSheet(data) {
+  try {
+    // Data another message already applied is only linked to it
+    if (data.duplicateOf) {
+      linkDuplicate(data);
+      return;
+    }
+
+    // Finalize raids that can no longer receive data before correlating new data
+    await finalizeExpiredRaids();
+
+    if (data.type === 'points') {
+      await handleRaidCompletion(data);
+    } else if (data.type === 'duration') {
+      // Only Chambers of Xeric has a points message to create the raid
+      if ((data.raidType || 'cox') === 'cox') {
+        await handleDurationUpdate(data);
+      } else {
+        await handleTimedRaidCompletion(data);
+      }
+
+      const killCount = embeddedKillCount(data);
+      if (killCount) {
+        await handleKillCount(killCount);
+      }
+    } else if (data.type === 'loot') {
+      await handleLootDrop(data);
+    } else if (data.type === 'split') {
+      await handleRoomSplit(data);
+    } else if (data.type === 'killcount') {
+      await handleKillCount(data);
+    } else if (data.type === 'pet') {
+      await handlePetDrop(data);
+    } else if (data.type === 'death') {
+      // Reported by Dink, but deaths aren't part of the raid rows
+      logger.info(`☠️  ${data.playerName} died${data.killerName ? ` to ${data.killerName}` : ''} - not recorded`);
+    } else {
+      throw new Error(`Unknown data type: ${data.type}`);
+    }
+  } catch (error) {
+    logger.error('Error handling raid data:', error);
+    throw error;
+  }
+}
+
+/**
+ * Replay data from the channel history through correlation, on the clock of its posting times
+ * Raids the outputs already have (the last BACKFILL_ROWS rows read back from the sinks) are
+ * matched but not written again. Raids the replay leaves open are finalized once it is done.
+ * @param {Function} replayMessages - async (apply) => ..., calls apply(data, postedAt) for every
+ *   piece of data, in posting order
+ * @returns {Promise<{ written: number, known: number }>} - Raids written, and raids that were already logged
+ */
+async function replayHistory(replayMessages) {
+  const stats = { knownRaids: await sinks.loadRecentRaids(config.backfill.rows), written: 0, known: 0 };
+  replay = stats;
+
+  try {
+    await replayMessages(async (data, postedAt) => {
+      replayClock = postedAt;
+      await appendToSheet(data);
+    });
+  } finally {
+    replay = null;
+    replayClock = null;
+  }
+
+  // The replayed raids are long over - finalize them before live messages continue
+  await finalizeExpiredRaids();
+  return { written: stats.written, known: stats.known };
+}
+
+/**
+ * Periodically finalize raids that aged out while no new messages arrived
+ * @param {Function} runTask - Runs a task in turn with message handling, e.g. the message queue of
+ *   index.js - a sweep must never finalize a raid that a message (or a backfill) is still changing
+ */
+function startFinalizationSweep(runTask) {
+  // A long task (e.g. a backfill) holds the queue - one waiting sweep is enough
+  let sweepQueued = false;
+
+  const timer = setInterval(() => {
+    if (sweepQueued) {
+      return;
+    }
+    sweepQueued = true;
+    runTask(() => {
+      sweepQueued = false;
+      return finalizeExpiredRaids();
+    }).catch((error) => {
+      logger.error('Error finalizing expired raids:', error);
+    });
+  }, FINALIZE_SWEEP_INTERVAL);
+  timer.unref();
+}
+
+module.exports = {
+  RAID_STATES,
+  raidEvents,
+  recordAnnouncement,
+  appendToSheet,
+  listHeldMessages,
+  assignHeldMessage,
+  discardHeldMessage,
+  retractMessage,
+  replaceMessage,
+  replayHistory,
+  reconcileRecentRaids,
+  startFinalizationSweep,
+};
+
@@ -0,0 +1,250 @@
+/**
+ * Write-ahead outbox for Google Sheets writes that failed
+ *
+ * When a raid can't be written (Sheets outage, retries exhausted, ...) the write is
+ * stored in a JSON file in the data directory instead of being dropped. A background
+ * worker replays the queued writes in order, backing off while the API keeps failing.
+ *
+ * The outbox holds at most one entry per raid: a newer write for a raid that is still
+ * queued replaces the queued row, so replays always send the latest data. An entry replaced
+ * while it was being sent stays queued and is sent again with the newer row.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getStatus } = require('./sheetsScheduler');
+
+const OUTBOX_FILE = path.join(config.storage.dataDir, 'sheets-outbox.json');
+const INITIAL_BACKOFF = 5000; // 5 seconds
+const MAX_BACKOFF = 300000; // 5 minutes
+const MAX_REPLAYED_ROWS = 50; // Remember sheet rows of this many replayed appends
+const BACKLOG_LOG_INTERVAL = 60000; // Log the backlog size at most once a minute while it's non-empty
+
+// Client errors that will never succeed on retry (everything else is retried)
+const PERMANENT_ERROR_CODES = [400, 404];
+
+let state = loadOutbox();
+let replayTimer = null;
+let isReplaying = false;
+let backoff = INITIAL_BACKOFF;
+let executeEntry = null;
+let lastBacklogLog = 0;
+
+/**
+ * Load the outbox from disk
+ */
+function loadOutbox() {
+  const empty = { pending: [], failed: [], replayedRows: {} };
+
+  try {
+    if (!fs.existsSync(OUTBOX_FILE)) {
+      return empty;
+    }
+
+    const saved = JSON.parse(fs.readFileSync(OUTBOX_FILE, 'utf8'));
+    return {
+      pending: saved.pending || [],
+      failed: saved.failed || [],
+      replayedRows: saved.replayedRows || {}
+    };
+  } catch (error) {
+    logger.error(`Failed to load Sheets outbox from ${OUTBOX_FILE}:`, error);
+    return empty;
+  }
+}
+
+/**
+ * Write the outbox to disk (temp file + rename so it is never left half-written)
+ */
+function saveOutbox() {
+  try {
+    fs.mkdirSync(path.dirname(OUTBOX_FILE), { recursive: true });
+    const tempFile = `${OUTBOX_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(state, null, 2));
+    fs.renameSync(tempFile, OUTBOX_FILE);
+  } catch (error) {
+    logger.error(`Failed to save Sheets outbox to ${OUTBOX_FILE}:`, error);
+  }
+}
+
+function logBacklog(force = false) {
+  const now = Date.now();
+  if (!force && now - lastBacklogLog < BACKLOG_LOG_INTERVAL) {
+    return;
+  }
+  lastBacklogLog = now;
+
+  if (state.pending.length > 0) {
+    logger.warn(`📮 Sheets outbox: ${state.pending.length} write(s) waiting to be replayed`);
+  }
+  if (state.failed.length > 0) {
+    logger.error(`📮 Sheets outbox: ${state.failed.length} write(s) failed permanently, see ${OUTBOX_FILE}`);
+  }
+}
+
+/**
+ * Check whether a raid still has a write waiting in the outbox
+ * Later writes for that raid must go through the outbox too, to keep them in order
+ */
+function hasPending(raidId) {
+  return state.pending.some(entry => entry.raidId === raidId);
+}
+
+/**
+ * Queue a failed write
+ * @param {Object} write - { raidId, sheetName, sheetRow, row } - sheetRow null means append
+ * @param {Error} [error] - Why the write is being queued
+ */
+function enqueue(write, error = null) {
+  const existing = state.pending.find(entry => entry.raidId === write.raidId);
+
+  if (existing) {
+    // Keep the queue position, but replay the newest data
+    existing.row = write.row;
+    existing.sheetRow = existing.sheetRow || write.sheetRow;
+    existing.revision = (existing.revision || 0) + 1;
+  } else {
+    state.pending.push({
+      raidId: write.raidId,
+      sheetName: write.sheetName,
+      sheetRow: write.sheetRow || null,
+      row: write.row,
+      queuedAt: new Date().toISOString(),
+      attempts: 0,
+      lastError: null
+    });
+  }
+
+  if (error) {
+    logger.warn(`Queued Sheets write for raid ${write.raidId} in outbox: ${error.message}`);
+  }
+
+  saveOutbox();
+  logBacklog();
+  scheduleReplay(0);
+}
+
+/**
+ * Where a replayed append ended up, if the outbox appended this raid
+ * @returns {{sheetName: string, sheetRow: number}|null}
+ */
+function getReplayedRow(raidId) {
+  return state.replayedRows[raidId] || null;
+}
+
+function rememberReplayedRow(raidId, sheetName, sheetRow) {
+  state.replayedRows[raidId] = { sheetName, sheetRow };
+
+  const raidIds = Object.keys(state.replayedRows);
+  for (const oldRaidId of raidIds.slice(0, Math.max(0, raidIds.length - MAX_REPLAYED_ROWS))) {
+    delete state.replayedRows[oldRaidId];
+  }
+}
+
+function isPermanentError(error) {
+  return PERMANENT_ERROR_CODES.includes(getStatus(error));
+}
+
+/**
+ * Replay queued writes in order until the queue is empty or a write fails
+ */
+async function replay() {
+  if (isReplaying || !executeEntry) {
+    return;
+  }
+
+  isReplaying = true;
+  replayTimer = null;
+  let retryDelay = null;
+
+  try {
+    while (state.pending.length > 0) {
+      const entry = state.pending[0];
+      entry.attempts++;
+
+      // enqueue() may replace the row while it is being sent
+      const sent = { ...entry };
+
+      try {
+        const sheetRow = await executeEntry(sent);
+        if (!entry.sheetRow && sheetRow) {
+          rememberReplayedRow(entry.raidId, entry.sheetName, sheetRow);
+          entry.sheetRow = sheetRow;
+        }
+        backoff = INITIAL_BACKOFF;
+
+        if (entry.revision !== sent.revision) {
+          // A newer row arrived during the send - send it next, to the row just written
+          saveOutbox();
+          logger.info(`📮 Queued Sheets write for raid ${entry.raidId} changed while it was replayed, replaying the newer row`);
+          continue;
+        }
+
+        state.pending.shift();
+        saveOutbox();
+        logger.info(`📮 Replayed queued Sheets write for raid ${entry.raidId} (${state.pending.length} remaining)`);
+      } catch (error) {
+        entry.lastError = error.message;
+
+        // The newer row may well succeed where the row that was sent didn't
+        if (isPermanentError(error) && entry.revision === sent.revision) {
+          state.pending.shift();
+          state.failed.push(entry);
+          saveOutbox();
+          logger.error(`📮 Dropping queued Sheets write for raid ${entry.raidId} after permanent error:`, error.message);
+          continue;
+        }
+
+        if (isPermanentError(error)) {
+          saveOutbox();
+          continue;
+        }
+
+        saveOutbox();
+        logger.warn(`📮 Sheets outbox replay failed (attempt ${entry.attempts}), retrying in ${Math.round(backoff / 1000)}s: ${error.message}`);
+        logBacklog();
+        retryDelay = backoff;
+        backoff = Math.min(backoff * 2, MAX_BACKOFF);
+        break;
+      }
+    }
+  } finally {
+    isReplaying = false;
+  }
+
+  if (retryDelay !== null) {
+    scheduleReplay(retryDelay);
+  }
+}
+
+function scheduleReplay(delay) {
+  if (replayTimer || isReplaying || !executeEntry || state.pending.length === 0) {
+    return;
+  }
+
+  replayTimer = setTimeout(() => {
+    replay().catch((error) => {
+      logger.error('Sheets outbox worker crashed:', error);
+    });
+  }, delay);
+  replayTimer.unref();
+}
+
+/**
+ * Start replaying queued writes
+ * @param {Function} execute - async (entry) => sheetRow, performs one queued write
+ */
+function startWorker(execute) {
+  executeEntry = execute;
+  logBacklog(true);
+  scheduleReplay(0);
+}
+
+module.exports = {
+  enqueue,
+  hasPending,
+  getReplayedRow,
+  startWorker,
+};
@@ -0,0 +1,222 @@
+/**
+ * Request scheduler for every Google Sheets API call
+ *
+ * - A token bucket keeps us under the per-minute quota instead of waiting for 429s
+ * - Requests are queued by priority, so new-raid appends go before cosmetic updates
+ * - Failed requests are retried with jittered exponential backoff, honouring Retry-After
+ * - A 429 pauses the whole queue, not just the request that hit it
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Lower number = sent first
+const PRIORITY = {
+  HIGH: 0,   // Appends of new raids, setup needed before anything can be written
+  NORMAL: 1, // Row updates, reads
+  LOW: 2,    // Cosmetic formatting
+};
+
+const MAX_RETRIES = 5;
+const BASE_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 64000;
+const RATE_LIMIT_PAUSE = 60000; // Pause after a 429 without Retry-After (quota windows are per minute)
+
+// Network errors worth retrying
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
+
+const queue = [];
+let nextSequence = 0;
+let tokens = config.google.requestsPerMinute;
+let lastRefill = Date.now();
+let pausedUntil = 0;
+let wakeTimer = null;
+
+/**
+ * HTTP status of a googleapis error (googleapis uses `code`, gaxios uses `response.status`)
+ */
+function getStatus(error) {
+  if (error.response && error.response.status) {
+    return error.response.status;
+  }
+  return typeof error.code === 'number' ? error.code : parseInt(error.code, 10) || null;
+}
+
+/**
+ * Reason of a googleapis error (e.g. "rateLimitExceeded", "forbidden"), null if it has none
+ */
+function getErrorReason(error) {
+  const data = error.response && error.response.data && error.response.data.error;
+  const errors = error.errors || (data && data.errors) || [];
+  return (errors[0] && errors[0].reason) || null;
+}
+
+function isRateLimitError(error) {
+  return getStatus(error) === 429 || /rate limit|quota/i.test(error.message || '');
+}
+
+function isRetryable(error) {
+  // Marked permanent by the caller (e.g. a 403 for missing access, whatever its message says)
+  if (error.retryable === false) {
+    return false;
+  }
+
+  const status = getStatus(error);
+  return error.retryable === true
+    || isRateLimitError(error)
+    || (status >= 500 && status < 600)
+    || RETRYABLE_NETWORK_CODES.includes(error.code);
+}
+
+/**
+ * Read the Retry-After header (seconds or HTTP date) in milliseconds
+ */
+function getRetryAfterMs(error) {
+  const headers = error.response && error.response.headers;
+  const value = headers && (headers['retry-after'] || headers['Retry-After']);
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with jitter: half the delay is fixed, the other half random
+ */
+function getBackoffDelay(attempt) {
+  const delay = Math.min(MAX_RETRY_DELAY, BASE_RETRY_DELAY * Math.pow(2, attempt - 1));
+  return delay / 2 + Math.random() * (delay / 2);
+}
+
+function refillTokens() {
+  const now = Date.now();
+  const capacity = config.google.requestsPerMinute;
+  tokens = Math.min(capacity, tokens + ((now - lastRefill) * capacity) / 60000);
+  lastRefill = now;
+}
+
+/**
+ * Highest priority job that is allowed to run now (FIFO within a priority)
+ */
+function nextReadyJob(now) {
+  let best = null;
+  for (const job of queue) {
+    if (job.notBefore > now) continue;
+    if (!best || job.priority < best.priority || (job.priority === best.priority && job.sequence < best.sequence)) {
+      best = job;
+    }
+  }
+  return best;
+}
+
+/**
+ * How long until something in the queue could run
+ */
+function getWaitTime(now) {
+  if (now < pausedUntil) {
+    return pausedUntil - now;
+  }
+  if (tokens < 1) {
+    return ((1 - tokens) * 60000) / config.google.requestsPerMinute;
+  }
+  return Math.min(...queue.map(job => job.notBefore)) - now;
+}
+
+/**
+ * Start as many queued requests as tokens allow, then sleep until more can run
+ */
+function pump() {
+  if (wakeTimer) {
+    clearTimeout(wakeTimer);
+    wakeTimer = null;
+  }
+
+  refillTokens();
+  const now = Date.now();
+
+  while (queue.length > 0 && now >= pausedUntil && tokens >= 1) {
+    const job = nextReadyJob(now);
+    if (!job) break;
+
+    queue.splice(queue.indexOf(job), 1);
+    tokens -= 1;
+    runJob(job);
+  }
+
+  if (queue.length > 0) {
+    wakeTimer = setTimeout(pump, Math.max(10, getWaitTime(now)));
+  }
+}
+
+async function runJob(job) {
+  job.attempts++;
+
+  try {
+    job.resolve(await job.run());
+  } catch (error) {
+    if (!isRetryable(error) || job.attempts > MAX_RETRIES) {
+      if (job.attempts > 1) {
+        logger.error(`Sheets ${job.label} failed after ${job.attempts} attempt(s)`);
+      }
+      job.reject(error);
+      return;
+    }
+
+    const retryAfter = getRetryAfterMs(error);
+
+    if (isRateLimitError(error)) {
+      // The quota is shared - hold every request, not just this one
+      pausedUntil = Math.max(pausedUntil, Date.now() + (retryAfter ?? RATE_LIMIT_PAUSE));
+      tokens = 0;
+      logger.warn(`Sheets rate limit hit during ${job.label}, pausing requests for ${Math.round((pausedUntil - Date.now()) / 1000)}s`);
+    }
+
+    const delay = retryAfter ?? getBackoffDelay(job.attempts);
+    job.notBefore = Date.now() + delay;
+    logger.warn(`Sheets ${job.label} failed (${error.message}), retry ${job.attempts}/${MAX_RETRIES} in ${Math.round(delay)}ms`);
+    queue.push(job);
+  } finally {
+    pump();
+  }
+}
+
+/**
+ * Queue a Sheets API call
+ * @param {Function} run - async () => result, performs the API request
+ * @param {Object} [options]
+ * @param {string} [options.label] - Description used in logs
+ * @param {number} [options.priority] - One of PRIORITY
+ * @returns {Promise} - Resolves with the request result, rejects once retries are exhausted
+ */
+function schedule(run, { label = 'request', priority = PRIORITY.NORMAL } = {}) {
+  return new Promise((resolve, reject) => {
+    queue.push({
+      run,
+      label,
+      priority,
+      sequence: nextSequence++,
+      attempts: 0,
+      notBefore: 0,
+      resolve,
+      reject,
+    });
+
+    if (queue.length > 1) {
+      logger.debug(`Queued Sheets ${label} (${queue.length} request(s) waiting)`);
+    }
+
+    pump();
+  });
+}
+
+module.exports = {
+  PRIORITY,
+  schedule,
+  getStatus,
+  getErrorReason,
+};
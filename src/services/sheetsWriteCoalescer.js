@@ -0,0 +1,104 @@
+/**
+ * Coalesces raid row updates destined for Google Sheets
+ *
+ * A 5-player raid produces a burst of points, duration and loot messages, each of which
+ * used to trigger its own API call. Updates are collected here for a short window and
+ * handed to the flush handler in one go, which writes them with a single batch request.
+ *
+ * The coalescer also tracks in-flight appends: a raid's updates are never flushed until
+ * the append that creates its row has finished.
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const pendingRaids = new Map(); // raidId -> raid with unflushed changes
+const inFlightAppends = new Map(); // raidId -> promise of the initial append
+let flushTimer = null;
+let firstScheduledAt = 0;
+let flushChain = Promise.resolve();
+let flushHandler = null;
+
+/**
+ * Set the function that writes a batch of raids
+ * @param {Function} handler - async (raids) => void
+ */
+function setFlushHandler(handler) {
+  flushHandler = handler;
+}
+
+/**
+ * Register the initial append of a raid's row
+ * Flushes wait for it, so an update can never be sent before its row exists
+ */
+function trackAppend(raidId, appendPromise) {
+  const settled = appendPromise.catch(() => {});
+  inFlightAppends.set(raidId, settled);
+
+  settled.then(() => {
+    if (inFlightAppends.get(raidId) === settled) {
+      inFlightAppends.delete(raidId);
+    }
+  });
+}
+
+/**
+ * Mark a raid as changed - it will be written when the current window closes
+ * The window is extended by each new change, up to maxWait after the first one
+ */
+function schedule(raid) {
+  const { writeDelay, writeMaxWait } = config.google;
+  const now = Date.now();
+
+  if (pendingRaids.size === 0) {
+    firstScheduledAt = now;
+  }
+  pendingRaids.set(raid.id, raid);
+
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+  }
+
+  const delay = Math.max(0, Math.min(writeDelay, firstScheduledAt + writeMaxWait - now));
+  flushTimer = setTimeout(() => {
+    flush().catch((error) => {
+      logger.error('Error flushing coalesced Sheets writes:', error);
+    });
+  }, delay);
+}
+
+/**
+ * Write all pending raids now
+ * Flushes run one after another so batches never overlap
+ */
+function flush() {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+
+  const raids = [...pendingRaids.values()];
+  pendingRaids.clear();
+
+  if (raids.length === 0) {
+    return flushChain;
+  }
+
+  flushChain = flushChain.then(async () => {
+    await Promise.all(raids.map(raid => inFlightAppends.get(raid.id)));
+
+    logger.debug(`Flushing ${raids.length} coalesced raid update(s) to Sheets`);
+    await flushHandler(raids);
+  }).catch((error) => {
+    logger.error('Error flushing coalesced Sheets writes:', error);
+  });
+
+  return flushChain;
+}
+
+module.exports = {
+  setFlushHandler,
+  trackAppend,
+  schedule,
+  flush,
+};
@@ -0,0 +1,105 @@
+/**
+ * Durable local store for in-flight raid correlation state
+ *
+ * The correlation buffers in raidTracker.js (recent and finalized raids, held,
+ * duplicate and orphaned messages) only live in memory, so a restart mid-raid
+ * would lose which messages belong to which raid and which sheet row each raid
+ * was written to. This module snapshots that state to a JSON file in the
+ * configured data directory and restores it on startup.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+const STATE_FILE = path.join(config.storage.dataDir, 'raid-state.json');
+const STATE_VERSION = 1;
+
+/**
+ * Build an empty state object
+ */
+function emptyState() {
+  return {
+    recentRaids: [],
+    finalizedRaids: [],
+    heldMessages: [],
+    duplicateMessages: [],
+    orphanedMessages: {
+      durations: [],
+      loots: [],
+      splits: [],
+      killCounts: []
+    }
+  };
+}
+
+/**
+ * Load persisted correlation state from disk
+ * @returns {Object} - { recentRaids, finalizedRaids, heldMessages, duplicateMessages, orphanedMessages }, empty if nothing was saved
+ */
+function loadState() {
+  try {
+    if (!fs.existsSync(STATE_FILE)) {
+      logger.debug(`No saved raid state at ${STATE_FILE}`);
+      return emptyState();
+    }
+
+    const saved = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+    if (saved.version !== STATE_VERSION) {
+      logger.warn(`Ignoring raid state with unsupported version ${saved.version}`);
+      return emptyState();
+    }
+
+    const state = emptyState();
+    state.recentRaids = Array.isArray(saved.recentRaids) ? saved.recentRaids : [];
+    state.finalizedRaids = Array.isArray(saved.finalizedRaids) ? saved.finalizedRaids : [];
+    state.heldMessages = Array.isArray(saved.heldMessages) ? saved.heldMessages : [];
+    state.duplicateMessages = Array.isArray(saved.duplicateMessages) ? saved.duplicateMessages : [];
+    if (saved.orphanedMessages) {
+      state.orphanedMessages.durations = saved.orphanedMessages.durations || [];
+      state.orphanedMessages.loots = saved.orphanedMessages.loots || [];
+      state.orphanedMessages.splits = saved.orphanedMessages.splits || [];
+      state.orphanedMessages.killCounts = saved.orphanedMessages.killCounts || [];
+    }
+
+    logger.info(`Restored ${state.recentRaids.length} raid(s) from ${STATE_FILE}`);
+    return state;
+  } catch (error) {
+    logger.error(`Failed to load raid state from ${STATE_FILE}:`, error);
+    return emptyState();
+  }
+}
+
+/**
+ * Write correlation state to disk
+ * Writes to a temp file first and renames it so a crash mid-write never leaves a truncated file
+ * @param {Object} state - { recentRaids, finalizedRaids, heldMessages, duplicateMessages, orphanedMessages }
+ */
+function saveState(state) {
+  try {
+    fs.mkdirSync(path.dirname(STATE_FILE), { recursive: true });
+
+    const tempFile = `${STATE_FILE}.tmp`;
+    const payload = {
+      version: STATE_VERSION,
+      savedAt: new Date().toISOString(),
+      recentRaids: state.recentRaids,
+      finalizedRaids: state.finalizedRaids,
+      heldMessages: state.heldMessages,
+      duplicateMessages: state.duplicateMessages,
+      orphanedMessages: state.orphanedMessages
+    };
+
+    fs.writeFileSync(tempFile, JSON.stringify(payload, null, 2));
+    fs.renameSync(tempFile, STATE_FILE);
+  } catch (error) {
+    // Never let a disk problem stop raids from being logged
+    logger.error(`Failed to save raid state to ${STATE_FILE}:`, error);
+  }
+}
+
+module.exports = {
+  loadState,
+  saveState,
+};
@@ -0,0 +1,141 @@
+/**
+ * Log of messages from the monitored channel that produced no raid data
+ *
+ * Every entry keeps the message text and the reason each parser rejected it, so a plugin changing
+ * its wording shows up here instead of silently dropping raids. Entries are kept as JSON Lines
+ * (UNPARSED_LOG_PATH, unparsed.jsonl in the data directory by default), trimmed to the most recent
+ * UNPARSED_MAX_ENTRIES, and optionally mirrored to an "Unparsed" tab of the spreadsheet.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { ensureSheetsExist, appendRows } = require('./googleSheets');
+
+const LOG_FILE = config.unparsed.path;
+const UNPARSED_SHEET = 'Unparsed';
+const SHEET_HEADERS = ['Received At', 'Author', 'Source', 'Partial Match', 'Content', 'Reasons'];
+const MAX_CONTENT_LENGTH = 1000;
+
+let entries = null; // Loaded on first use
+let sheetReady = null;
+
+/**
+ * Entries in the log file, oldest first
+ */
+function loadEntries() {
+  if (entries) {
+    return entries;
+  }
+
+  entries = [];
+  try {
+    if (fs.existsSync(LOG_FILE)) {
+      for (const line of fs.readFileSync(LOG_FILE, 'utf8').split('\n')) {
+        if (line.trim()) {
+          entries.push(JSON.parse(line));
+        }
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to read unparsed message log ${LOG_FILE}:`, error.message);
+  }
+  return entries;
+}
+
+/**
+ * Rewrite the whole log file (temp file + rename so it is never left half-written)
+ */
+function rewriteFile() {
+  const tempFile = `${LOG_FILE}.tmp`;
+  fs.writeFileSync(tempFile, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+  fs.renameSync(tempFile, LOG_FILE);
+}
+
+/**
+ * Mirror an entry to the Unparsed tab (creating the tab on first use)
+ */
+async function appendToSheet(entry) {
+  if (!sheetReady) {
+    sheetReady = ensureSheetsExist([{ name: UNPARSED_SHEET, headers: SHEET_HEADERS }]);
+  }
+
+  try {
+    await sheetReady;
+    await appendRows(UNPARSED_SHEET, [[
+      entry.receivedAt,
+      entry.author,
+      entry.source,
+      entry.partial ? 'Yes' : 'No',
+      entry.content,
+      entry.reasons.join('\n'),
+    ]]);
+  } catch (error) {
+    sheetReady = null; // Try creating the tab again next time
+    logger.error(`Failed to write unparsed message to ${UNPARSED_SHEET}:`, error.message);
+  }
+}
+
+/**
+ * Record a message that produced no raid data
+ * @param {Object} details - { messageId, author, source ('text' or 'dink'), content, reasons, partial }
+ */
+async function recordUnparsed({ messageId = null, author = null, source = 'text', content = '', reasons = [], partial = false }) {
+  const text = String(content || '');
+  const entry = {
+    receivedAt: new Date().toISOString(),
+    messageId,
+    author,
+    source,
+    partial: !!partial,
+    content: text.length > MAX_CONTENT_LENGTH ? `${text.slice(0, MAX_CONTENT_LENGTH)}...` : text,
+    reasons,
+  };
+
+  try {
+    loadEntries().push(entry);
+    fs.mkdirSync(path.dirname(LOG_FILE), { recursive: true });
+
+    if (entries.length > config.unparsed.maxEntries) {
+      entries = entries.slice(-config.unparsed.maxEntries);
+      rewriteFile();
+    } else {
+      fs.appendFileSync(LOG_FILE, `${JSON.stringify(entry)}\n`);
+    }
+  } catch (error) {
+    logger.error(`Failed to write unparsed message log ${LOG_FILE}:`, error.message);
+  }
+
+  if (config.unparsed.sheet) {
+    await appendToSheet(entry);
+  }
+
+  return entry;
+}
+
+/**
+ * Most recent unparsed messages, newest first
+ */
+function listUnparsed(limit = 5) {
+  return loadEntries().slice(-limit).reverse();
+}
+
+/**
+ * Empty the log (e.g. after the rules were fixed)
+ * @returns {number} - How many entries were removed
+ */
+function clearUnparsed() {
+  const removed = loadEntries().length;
+  entries = [];
+  if (fs.existsSync(LOG_FILE)) {
+    rewriteFile();
+  }
+  return removed;
+}
+
+module.exports = {
+  recordUnparsed,
+  listUnparsed,
+  clearUnparsed,
+};
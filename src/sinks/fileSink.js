@@ -0,0 +1,121 @@
+/**
+ * Output sink keeping a local archive of finalized raids
+ * Writes either JSON Lines (one raid object per line) or CSV (same columns as the sheet, plus the
+ * kind of record).
+ * The file is append-only: a finalized raid that is corrected by an edited or deleted message gets
+ * a "corrected" record, or a "retracted" tombstone when none of its messages are left. The last
+ * record of a raid ID is the current one.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { getHeaders, getLootValue, raidToRow } = require('../utils/raidFormat');
+
+const { format, path: filePath } = config.output.file;
+
+/**
+ * Quote a value for CSV output
+ */
+function toCsvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  if (/[",\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+function toCsvLine(values) {
+  return `${values.map(toCsvValue).join(',')}\n`;
+}
+
+function getCsvHeaders() {
+  return [...getHeaders(), 'Record'];
+}
+
+/**
+ * Strip correlation bookkeeping so the archive only holds raid data
+ */
+function toArchiveRecord(raid) {
+  return {
+    id: raid.id,
+    timestamp: raid.timestamp,
+    raidType: raid.raidType || 'cox',
+    mode: raid.mode || 'normal',
+    raidLevel: raid.raidLevel ?? null,
+    totalPoints: raid.totalPoints,
+    completionTime: raid.completionTime,
+    olmTime: raid.olmTime,
+    personalBest: raid.personalBest,
+    newPersonalBest: raid.newPersonalBest,
+    scale: raid.scale,
+    players: raid.players,
+    drops: raid.drops,
+    lootValue: getLootValue(raid.drops),
+    splits: raid.splits || [],
+  };
+}
+
+async function init() {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  if (format === 'csv' && !fs.existsSync(filePath)) {
+    await fs.promises.writeFile(filePath, toCsvLine(getCsvHeaders()));
+  }
+
+  logger.info(`Archiving raids to ${filePath} (${format})`);
+}
+
+/**
+ * Append a record of a raid
+ * @param {string} record - finalized, corrected or retracted
+ */
+async function appendRecord(raid, record) {
+  let line;
+  if (format === 'csv') {
+    const row = raidToRow(raid);
+    if (record === 'retracted') {
+      // A tombstone only keeps the raid ID, in the last column
+      row.fill('', 0, row.length - 1);
+    }
+    line = toCsvLine([...row, record]);
+  } else if (record === 'retracted') {
+    line = `${JSON.stringify({ id: raid.id, timestamp: raid.timestamp, raidType: raid.raidType || 'cox', record, recordedAt: new Date().toISOString() })}\n`;
+  } else {
+    line = `${JSON.stringify({ ...toArchiveRecord(raid), record, recordedAt: new Date().toISOString() })}\n`;
+  }
+
+  await fs.promises.appendFile(filePath, line);
+  logger.debug(`Archived ${record} raid ${raid.id} to ${filePath}`);
+}
+
+/**
+ * Raids are only archived once finalized - an append-only file can't update earlier lines
+ */
+async function onRaidFinalized(raid) {
+  await appendRecord(raid, 'finalized');
+}
+
+/**
+ * Updates of raids that are still collecting aren't archived; a finalized raid was corrected
+ */
+async function onRaidUpdated(raid) {
+  if (raid.state === 'finalized') {
+    await appendRecord(raid, 'corrected');
+  }
+}
+
+async function onRaidRetracted(raid) {
+  if (raid.state === 'finalized') {
+    await appendRecord(raid, 'retracted');
+  }
+}
+
+module.exports = {
+  name: 'file',
+  init,
+  onRaidUpdated,
+  onRaidFinalized,
+  onRaidRetracted,
+};
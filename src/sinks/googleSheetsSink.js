@@ -0,0 +1,367 @@
+/**
+ * Output sink writing one row per raid to the Google Sheet
+ * Chambers of Xeric raids go to the "Raids" tab (Challenge Mode to "CM Raids"), Theatre of Blood
+ * and Tombs of Amascut raids to "ToB Raids" and "ToA Raids".
+ * New raids are appended right away; later updates are coalesced into batch writes.
+ * Room splits are appended to the "Splits" tab once the raid is finalized, and rewritten in place
+ * when an edited or deleted message corrects the finalized raid.
+ * A raid whose messages were all deleted has its row blanked - rows are never removed, so every
+ * other raid keeps its row number.
+ * The "Players" tab lists the latest kill count of every player, rewritten when one changes.
+ * Writes that fail are kept in the Sheets outbox and replayed once the API recovers
+ */
+
+const logger = require('../utils/logger');
+const config = require('../config');
+const {
+  raidToRow,
+  rowToRaid,
+  getSplitHeaders,
+  splitsToRows,
+  getPlayerHeaders,
+  killCountsToRows,
+} = require('../utils/raidFormat');
+const {
+  initializeSheetsClient,
+  ensureSheetsExist,
+  readRecentRows,
+  appendRow,
+  appendRows,
+  updateRow,
+  batchUpdateRows,
+  replaceRows,
+} = require('../services/googleSheets');
+const outbox = require('../services/sheetsOutbox');
+const coalescer = require('../services/sheetsWriteCoalescer');
+
+const RAIDS_SHEET = 'Raids';
+const CM_RAIDS_SHEET = 'CM Raids';
+const TOB_RAIDS_SHEET = 'ToB Raids';
+const TOA_RAIDS_SHEET = 'ToA Raids';
+const SPLITS_SHEET = 'Splits';
+const PLAYERS_SHEET = 'Players';
+
+// Latest kill counts waiting to be written - a raid reports one per player in quick succession
+let pendingKillCounts = null;
+let killCountTimer = null;
+
+// Raid tab -> raid type of the raids on it
+const RAID_SHEETS = {
+  [RAIDS_SHEET]: 'cox',
+  [CM_RAIDS_SHEET]: 'cox',
+  [TOB_RAIDS_SHEET]: 'tob',
+  [TOA_RAIDS_SHEET]: 'toa',
+};
+
+/**
+ * Tab a raid belongs on
+ * A raid stays on the tab it was first written to, even if it is identified as CM later
+ */
+function sheetNameFor(raid) {
+  if (raid.sheetName) {
+    return raid.sheetName;
+  }
+  if (raid.raidType === 'tob') {
+    return TOB_RAIDS_SHEET;
+  }
+  if (raid.raidType === 'toa') {
+    return TOA_RAIDS_SHEET;
+  }
+  return raid.mode === 'challenge' ? CM_RAIDS_SHEET : RAIDS_SHEET;
+}
+
+/**
+ * Extract the row number from a values.append response
+ */
+function parseAppendedRow(response) {
+  if (response && response.data && response.data.updates) {
+    const range = response.data.updates.updatedRange;
+    const rowMatch = range.match(/!A(\d+)/);
+    if (rowMatch) {
+      return parseInt(rowMatch[1], 10);
+    }
+  }
+  return null;
+}
+
+/**
+ * Perform a single write - update when the row is known, append otherwise
+ * @param {Object} write - { sheetName, sheetRow, row }
+ * @returns {number|null} - The sheet row that was written
+ */
+async function executeWrite(write) {
+  if (write.sheetRow) {
+    await updateRow(write.sheetName, write.sheetRow, write.row);
+    return write.sheetRow;
+  }
+
+  const response = await appendRow(write.sheetName, write.row);
+  return parseAppendedRow(response);
+}
+
+/**
+ * Pick up the sheet row if the outbox appended this raid while the bot was busy or restarting
+ */
+function resolveReplayedRow(raid) {
+  if (!raid.sheetRow) {
+    const replayed = outbox.getReplayedRow(raid.id);
+    if (replayed) {
+      raid.sheetName = replayed.sheetName;
+      raid.sheetRow = replayed.sheetRow;
+      raid.addedToSheet = true;
+    }
+  }
+}
+
+/**
+ * Write the raid's current row, falling back to the outbox on failure
+ */
+async function writeRaid(raid) {
+  resolveReplayedRow(raid);
+
+  const write = {
+    raidId: raid.id,
+    sheetName: sheetNameFor(raid),
+    sheetRow: raid.sheetRow,
+    row: raidToRow(raid)
+  };
+
+  // Earlier writes for this raid are still queued - queue behind them to keep the order
+  if (outbox.hasPending(raid.id)) {
+    outbox.enqueue(write);
+    logger.info(`Raid ${raid.id} has queued Sheets writes, added this update to the outbox`);
+    return;
+  }
+
+  try {
+    const sheetRow = await executeWrite(write);
+
+    if (!raid.sheetRow && sheetRow) {
+      raid.sheetName = write.sheetName;
+      raid.sheetRow = sheetRow;
+      raid.addedToSheet = true;
+      logger.debug(`Raid added to ${raid.sheetName} at row ${raid.sheetRow}`);
+    } else if (raid.sheetRow) {
+      logger.info(`Updated raid at ${write.sheetName} row ${raid.sheetRow}`);
+    }
+  } catch (error) {
+    logger.error(`Failed to write raid ${raid.id} to ${write.sheetName}:`, error.message);
+    outbox.enqueue(write, error);
+  }
+}
+
+/**
+ * Write a batch of coalesced raid updates
+ * Raids with a known row go out in one batchUpdate; the rest fall back to individual writes
+ */
+async function flushRaids(raids) {
+  const batches = new Map(); // sheetName -> [{ raid, rowNumber, row }]
+
+  for (const raid of raids) {
+    resolveReplayedRow(raid);
+
+    if (raid.sheetRow && !outbox.hasPending(raid.id)) {
+      const sheetName = sheetNameFor(raid);
+      if (!batches.has(sheetName)) {
+        batches.set(sheetName, []);
+      }
+      batches.get(sheetName).push({ raid, rowNumber: raid.sheetRow, row: raidToRow(raid) });
+    } else {
+      // No row yet (initial append failed) or writes still queued in the outbox
+      await writeRaid(raid);
+    }
+  }
+
+  for (const [sheetName, batch] of batches) {
+    try {
+      await batchUpdateRows(sheetName, batch.map(({ rowNumber, row }) => ({ rowNumber, row })));
+      logger.info(`Updated ${batch.length} raid row(s) in ${sheetName} in one batch: ${batch.map(({ rowNumber }) => rowNumber).join(', ')}`);
+    } catch (error) {
+      logger.error(`Failed to batch update ${batch.length} raid row(s) in ${sheetName}:`, error.message);
+      for (const { raid, rowNumber, row } of batch) {
+        outbox.enqueue({ raidId: raid.id, sheetName, sheetRow: rowNumber, row }, error);
+      }
+    }
+  }
+}
+
+async function init() {
+  // Start replaying queued writes even if the API is still unreachable right now
+  outbox.startWorker(executeWrite);
+  coalescer.setFlushHandler(flushRaids);
+
+  await initializeSheetsClient();
+  await ensureSheetsExist([
+    ...Object.keys(RAID_SHEETS),
+    { name: SPLITS_SHEET, headers: getSplitHeaders() },
+    { name: PLAYERS_SHEET, headers: getPlayerHeaders() },
+  ]);
+}
+
+async function onRaidCreated(raid) {
+  if (raid.sheetRow) {
+    // Already written (e.g. recovered after a restart) - treat as an update
+    coalescer.schedule(raid);
+    return;
+  }
+
+  // Append right away - the row number is needed before any update can be sent
+  const append = writeRaid(raid);
+  coalescer.trackAppend(raid.id, append);
+  await append;
+}
+
+/**
+ * Row numbers written by a values.append response
+ */
+function parseAppendedRows(response, count) {
+  const first = parseAppendedRow(response);
+  return first ? Array.from({ length: count }, (_, index) => first + index) : [];
+}
+
+/**
+ * Bring the Splits rows of a finalized raid in line with its splits
+ * The raid's rows (raid.splitRows) are overwritten in place; extra splits are appended and rows
+ * no longer needed are blanked, so the rows of other raids never move.
+ */
+async function writeSplits(raid, splitRows = splitsToRows(raid)) {
+  const sheetRows = raid.splitRows || [];
+  const blank = getSplitHeaders().map(() => '');
+
+  try {
+    const updates = sheetRows.map((rowNumber, index) => ({ rowNumber, row: splitRows[index] || blank }));
+    if (updates.length > 0) {
+      await batchUpdateRows(SPLITS_SHEET, updates);
+    }
+
+    const extraRows = splitRows.slice(sheetRows.length);
+    let appended = [];
+    if (extraRows.length > 0) {
+      appended = parseAppendedRows(await appendRows(SPLITS_SHEET, extraRows), extraRows.length);
+    }
+
+    // Blanked rows are left behind - a later split of the raid appends again
+    raid.splitRows = [...sheetRows.slice(0, splitRows.length), ...appended];
+    logger.info(`Wrote ${splitRows.length} room split(s) of raid ${raid.id} to ${SPLITS_SHEET}`);
+  } catch (error) {
+    logger.error(`Failed to write room splits of raid ${raid.id} to ${SPLITS_SHEET}:`, error.message);
+  }
+}
+
+async function onRaidUpdated(raid) {
+  coalescer.schedule(raid);
+
+  // Splits are only written once the raid is finalized - this corrects them
+  if (raid.state === 'finalized') {
+    await writeSplits(raid);
+  }
+}
+
+async function onRaidFinalized(raid) {
+  // Make sure the last changes are written before the raid leaves memory
+  await coalescer.flush();
+
+  // Splits rarely change after this, so they are written in one request
+  if (splitsToRows(raid).length > 0) {
+    await writeSplits(raid);
+  }
+}
+
+async function onRaidRetracted(raid) {
+  // A pending update of the raid must not write it back after the row is cleared
+  await coalescer.flush();
+  resolveReplayedRow(raid);
+
+  const write = {
+    raidId: raid.id,
+    sheetName: sheetNameFor(raid),
+    sheetRow: raid.sheetRow,
+    row: raidToRow(raid).map(() => '')
+  };
+
+  if (outbox.hasPending(raid.id)) {
+    outbox.enqueue(write);
+  } else if (!write.sheetRow) {
+    logger.warn(`Raid ${raid.id} has no known row in ${write.sheetName} to clear`);
+  } else {
+    try {
+      await executeWrite(write);
+      logger.info(`Cleared raid at ${write.sheetName} row ${write.sheetRow}`);
+    } catch (error) {
+      logger.error(`Failed to clear raid ${raid.id} in ${write.sheetName}:`, error.message);
+      outbox.enqueue(write, error);
+    }
+  }
+
+  // The splits written when the raid was finalized go with it
+  if (raid.splitRows && raid.splitRows.length > 0) {
+    await writeSplits(raid, []);
+  }
+}
+
+/**
+ * Rewrite the Players tab with the kill counts collected since the last write
+ */
+async function flushKillCounts() {
+  clearTimeout(killCountTimer);
+  killCountTimer = null;
+  if (!pendingKillCounts) {
+    return;
+  }
+
+  const rows = killCountsToRows(pendingKillCounts);
+  pendingKillCounts = null;
+  try {
+    await replaceRows(PLAYERS_SHEET, rows);
+    logger.info(`Updated ${rows.length} kill count(s) in ${PLAYERS_SHEET}`);
+  } catch (error) {
+    // The next kill count rewrites the whole tab anyway
+    logger.error(`Failed to write kill counts to ${PLAYERS_SHEET}:`, error.message);
+  }
+}
+
+async function onKillCountsUpdated(entries) {
+  pendingKillCounts = entries;
+  if (!killCountTimer) {
+    killCountTimer = setTimeout(() => {
+      flushKillCounts().catch(error => logger.error('Error writing kill counts:', error));
+    }, config.google.writeDelay);
+    killCountTimer.unref();
+  }
+}
+
+async function close() {
+  await coalescer.flush();
+  await flushKillCounts();
+}
+
+/**
+ * Rebuild the most recent raids from the raid tabs, with their sheet rows
+ */
+async function loadRecentRaids(limit) {
+  const raids = [];
+
+  for (const [sheetName, raidType] of Object.entries(RAID_SHEETS)) {
+    const rows = await readRecentRows(sheetName, limit);
+    for (const { rowNumber, values } of rows) {
+      const raid = rowToRaid(values, rowNumber, raidType);
+      if (raid) {
+        raids.push({ ...raid, sheetName });
+      }
+    }
+  }
+
+  return raids;
+}
+
+module.exports = {
+  name: 'sheets',
+  init,
+  loadRecentRaids,
+  onRaidCreated,
+  onRaidUpdated,
+  onRaidFinalized,
+  onRaidRetracted,
+  onKillCountsUpdated,
+  close,
+};
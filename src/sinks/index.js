@@ -0,0 +1,119 @@
+/**
+ * Output sink registry
+ *
+ * A sink receives raids once correlation has grouped the messages together.
+ * Every sink exposes the same interface:
+ *   - name: identifier used in logs
+ *   - init(): optional async setup, called once on startup
+ *   - onRaidCreated(raid): a raid has enough data to be written for the first time
+ *   - onRaidUpdated(raid): a previously created raid received more data, or edited or deleted
+ *     messages corrected a finalized raid (raid.state is 'finalized')
+ *   - onRaidFinalized(raid): the raid stops collecting messages - only edits and deletes change it now
+ *   - onRaidRetracted(raid): optional, every message of a written raid was deleted - take it back out
+ *   - onKillCountsUpdated(entries): optional, a player's latest kill count changed; receives every
+ *     known kill count (see killCountStore.js)
+ *   - loadRecentRaids(limit): optional, returns raids already written, used to resume after a restart
+ *   - close(): optional, flush anything still buffered before the process exits
+ *
+ * Sinks are enabled through the OUTPUT_SINKS environment variable.
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Sink factories, loaded lazily so disabled sinks don't pull in their dependencies
+const SINK_FACTORIES = {
+  sheets: () => require('./googleSheetsSink'),
+  file: () => require('./fileSink'),
+  sqlite: () => require('./sqliteSink'),
+};
+
+const activeSinks = config.output.sinks.map(name => SINK_FACTORIES[name]());
+
+/**
+ * Call a hook on every active sink
+ * A failing sink is logged and skipped so it never keeps the others from receiving the data
+ */
+async function dispatch(hook, payload) {
+  for (const sink of activeSinks) {
+    if (typeof sink[hook] !== 'function') {
+      continue;
+    }
+
+    try {
+      await sink[hook](payload);
+    } catch (error) {
+      logger.error(`Output sink "${sink.name}" failed in ${hook}:`, error);
+    }
+  }
+}
+
+/**
+ * Initialize all active sinks
+ */
+async function initSinks() {
+  logger.info(`Enabled output sinks: ${activeSinks.map(sink => sink.name).join(', ')}`);
+
+  for (const sink of activeSinks) {
+    if (typeof sink.init !== 'function') {
+      continue;
+    }
+
+    try {
+      await sink.init();
+    } catch (error) {
+      logger.error(`Failed to initialize output sink "${sink.name}":`, error);
+    }
+  }
+}
+
+/**
+ * Collect recently written raids from every sink that can read its output back
+ */
+async function loadRecentRaids(limit) {
+  const raids = [];
+
+  for (const sink of activeSinks) {
+    if (typeof sink.loadRecentRaids !== 'function') {
+      continue;
+    }
+
+    try {
+      const sinkRaids = await sink.loadRecentRaids(limit);
+      logger.info(`Loaded ${sinkRaids.length} recent raid(s) from output sink "${sink.name}"`);
+      raids.push(...sinkRaids);
+    } catch (error) {
+      logger.error(`Failed to load recent raids from output sink "${sink.name}":`, error);
+    }
+  }
+
+  return raids;
+}
+
+/**
+ * Give every sink a chance to flush buffered writes before shutdown
+ */
+async function closeSinks() {
+  for (const sink of activeSinks) {
+    if (typeof sink.close !== 'function') {
+      continue;
+    }
+
+    try {
+      await sink.close();
+    } catch (error) {
+      logger.error(`Failed to close output sink "${sink.name}":`, error);
+    }
+  }
+}
+
+module.exports = {
+  initSinks,
+  closeSinks,
+  loadRecentRaids,
+  raidCreated: raid => dispatch('onRaidCreated', raid),
+  raidUpdated: raid => dispatch('onRaidUpdated', raid),
+  raidFinalized: raid => dispatch('onRaidFinalized', raid),
+  raidRetracted: raid => dispatch('onRaidRetracted', raid),
+  killCountsUpdated: entries => dispatch('onKillCountsUpdated', entries),
+};
@@ -0,0 +1,348 @@
+/**
+ * Output sink storing raids in a normalized SQLite database
+ *
+ * Tables:
+ *   raids         - one row per raid with typed points, duration and scale columns
+ *                   (cox_raids, tob_raids and toa_raids are views of one raid type)
+ *   raid_players  - one row per player in a raid
+ *   drops         - one row per unique drop, linked to its raid, with its value in gp
+ *                   (raid_loot_values and player_loot_values total them per raid and per player)
+ *   raid_splits   - one row per completed room, in completion order
+ *   player_renames - name changes from the player registry, to join old names to current ones
+ *   player_killcounts - latest kill count of every player per raid and mode, with the number of
+ *                   raids the tracker missed (kill count gaps)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { parseDurationMs } = require('../utils/duration');
+const { getPreOlmMs } = require('../utils/raidFormat');
+const playerRegistry = require('../services/playerRegistry');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS raids (
+    id TEXT PRIMARY KEY,
+    completed_at TEXT NOT NULL,
+    raid_type TEXT NOT NULL DEFAULT 'cox',
+    mode TEXT NOT NULL DEFAULT 'normal',
+    raid_level INTEGER,
+    total_points INTEGER,
+    duration_ms INTEGER,
+    duration_text TEXT,
+    olm_duration_ms INTEGER,
+    pre_olm_duration_ms INTEGER,
+    personal_best_ms INTEGER,
+    new_personal_best INTEGER NOT NULL DEFAULT 0,
+    scale TEXT,
+    scale_min INTEGER,
+    scale_max INTEGER,
+    finalized INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS raid_players (
+    raid_id TEXT NOT NULL REFERENCES raids(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    main_name TEXT,
+    points INTEGER,
+    kill_count INTEGER,
+    PRIMARY KEY (raid_id, name)
+  );
+
+  CREATE TABLE IF NOT EXISTS drops (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    raid_id TEXT NOT NULL REFERENCES raids(id) ON DELETE CASCADE,
+    player_name TEXT,
+    item_name TEXT NOT NULL,
+    item_id INTEGER,
+    item_category TEXT,
+    item_value INTEGER,
+    received_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS raid_splits (
+    raid_id TEXT NOT NULL REFERENCES raids(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    room TEXT NOT NULL,
+    room_kind TEXT,
+    duration_ms INTEGER,
+    elapsed_ms INTEGER,
+    completed_at TEXT,
+    PRIMARY KEY (raid_id, position)
+  );
+
+  CREATE TABLE IF NOT EXISTS player_renames (
+    from_name TEXT NOT NULL,
+    to_name TEXT NOT NULL,
+    changed_at TEXT NOT NULL,
+    PRIMARY KEY (from_name, to_name, changed_at)
+  );
+
+  CREATE TABLE IF NOT EXISTS player_killcounts (
+    player_name TEXT NOT NULL,
+    raid_type TEXT NOT NULL,
+    mode TEXT NOT NULL,
+    kill_count INTEGER NOT NULL,
+    missed_raids INTEGER NOT NULL DEFAULT 0,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (player_name, raid_type, mode)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_raids_completed_at ON raids(completed_at);
+  CREATE INDEX IF NOT EXISTS idx_raid_players_name ON raid_players(name);
+  CREATE INDEX IF NOT EXISTS idx_drops_player_name ON drops(player_name);
+  CREATE INDEX IF NOT EXISTS idx_raid_splits_room ON raid_splits(room);
+  CREATE INDEX IF NOT EXISTS idx_raids_raid_type ON raids(raid_type);
+
+  CREATE VIEW IF NOT EXISTS cox_raids AS SELECT * FROM raids WHERE raid_type = 'cox';
+  CREATE VIEW IF NOT EXISTS tob_raids AS SELECT * FROM raids WHERE raid_type = 'tob';
+  CREATE VIEW IF NOT EXISTS toa_raids AS SELECT * FROM raids WHERE raid_type = 'toa';
+
+  CREATE VIEW IF NOT EXISTS raid_loot_values AS
+    SELECT raids.id AS raid_id, raids.completed_at, raids.raid_type, raids.mode,
+      COUNT(drops.id) AS drops, COUNT(drops.item_value) AS valued_drops, SUM(drops.item_value) AS loot_value
+    FROM raids LEFT JOIN drops ON drops.raid_id = raids.id
+    GROUP BY raids.id;
+  CREATE VIEW IF NOT EXISTS player_loot_values AS
+    SELECT player_name, COUNT(*) AS drops, COUNT(item_value) AS valued_drops, SUM(item_value) AS loot_value
+    FROM drops WHERE player_name IS NOT NULL
+    GROUP BY player_name;
+`;
+
+let db = null;
+let statements = null;
+
+/**
+ * Split a scale string into its bounds
+ * "11-15" -> { min: 11, max: 15 }, "24+" -> { min: 24, max: null }, "3" -> { min: 3, max: 3 }
+ */
+function parseScale(scale) {
+  const match = scale ? scale.match(/^(\d+)(?:-(\d+)|(\+))?$/) : null;
+  if (!match) {
+    return { min: null, max: null };
+  }
+
+  const min = parseInt(match[1], 10);
+  if (match[3]) {
+    return { min, max: null };
+  }
+  return { min, max: match[2] ? parseInt(match[2], 10) : min };
+}
+
+/**
+ * Open the database and prepare statements (only once)
+ */
+function openDatabase() {
+  if (db) return;
+
+  const dbPath = config.output.sqlite.path;
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+  db = new Database(dbPath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  db.exec(SCHEMA);
+
+  statements = {
+    upsertRaid: db.prepare(`
+      INSERT INTO raids (
+        id, completed_at, raid_type, mode, raid_level, total_points, duration_ms, duration_text,
+        olm_duration_ms, pre_olm_duration_ms, personal_best_ms, new_personal_best,
+        scale, scale_min, scale_max, finalized, created_at, updated_at
+      )
+      VALUES (
+        @id, @completedAt, @raidType, @mode, @raidLevel, @totalPoints, @durationMs, @durationText,
+        @olmDurationMs, @preOlmDurationMs, @personalBestMs, @newPersonalBest,
+        @scale, @scaleMin, @scaleMax, @finalized, @now, @now
+      )
+      ON CONFLICT(id) DO UPDATE SET
+        completed_at = excluded.completed_at,
+        raid_type = excluded.raid_type,
+        mode = excluded.mode,
+        raid_level = excluded.raid_level,
+        total_points = excluded.total_points,
+        duration_ms = excluded.duration_ms,
+        duration_text = excluded.duration_text,
+        olm_duration_ms = excluded.olm_duration_ms,
+        pre_olm_duration_ms = excluded.pre_olm_duration_ms,
+        personal_best_ms = excluded.personal_best_ms,
+        new_personal_best = excluded.new_personal_best,
+        scale = excluded.scale,
+        scale_min = excluded.scale_min,
+        scale_max = excluded.scale_max,
+        finalized = MAX(raids.finalized, excluded.finalized),
+        updated_at = excluded.updated_at
+    `),
+    deletePlayers: db.prepare('DELETE FROM raid_players WHERE raid_id = ?'),
+    insertPlayer: db.prepare(`
+      INSERT OR IGNORE INTO raid_players (raid_id, position, name, main_name, points, kill_count)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `),
+    deleteDrops: db.prepare('DELETE FROM drops WHERE raid_id = ?'),
+    insertDrop: db.prepare(`
+      INSERT INTO drops (raid_id, player_name, item_name, item_id, item_category, item_value, received_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `),
+    deleteSplits: db.prepare('DELETE FROM raid_splits WHERE raid_id = ?'),
+    insertSplit: db.prepare(`
+      INSERT INTO raid_splits (raid_id, position, room, room_kind, duration_ms, elapsed_ms, completed_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `),
+    insertRename: db.prepare(`
+      INSERT OR IGNORE INTO player_renames (from_name, to_name, changed_at)
+      VALUES (?, ?, ?)
+    `),
+    deleteKillCounts: db.prepare('DELETE FROM player_killcounts'),
+    deleteRaid: db.prepare('DELETE FROM raids WHERE id = ?'),
+    insertKillCount: db.prepare(`
+      INSERT INTO player_killcounts (player_name, raid_type, mode, kill_count, missed_raids, updated_at)
+      VALUES (@player, @raidType, @mode, @killCount, @missedRaids, @updatedAt)
+    `),
+  };
+
+  logger.info(`SQLite raid database opened at ${dbPath}`);
+}
+
+/**
+ * Write the full raid (raid row, players, drops and splits) in one transaction
+ * Players, drops and splits are replaced wholesale so repeated writes stay idempotent
+ */
+function writeRaid(raid, finalized = false) {
+  openDatabase();
+
+  const { min, max } = parseScale(raid.scale);
+
+  db.transaction(() => {
+    statements.upsertRaid.run({
+      id: raid.id,
+      completedAt: raid.timestamp,
+      raidType: raid.raidType || 'cox',
+      mode: raid.mode || 'normal',
+      raidLevel: raid.raidLevel ?? null,
+      totalPoints: raid.totalPoints,
+      durationMs: raid.completionTimeMs ?? parseDurationMs(raid.completionTime),
+      durationText: raid.completionTime || null,
+      olmDurationMs: raid.olmTimeMs ?? parseDurationMs(raid.olmTime),
+      preOlmDurationMs: getPreOlmMs(raid),
+      personalBestMs: raid.personalBestMs ?? parseDurationMs(raid.personalBest),
+      newPersonalBest: raid.newPersonalBest ? 1 : 0,
+      scale: raid.scale || null,
+      scaleMin: min,
+      scaleMax: max,
+      finalized: finalized ? 1 : 0,
+      now: new Date().toISOString(),
+    });
+
+    statements.deletePlayers.run(raid.id);
+    raid.players.forEach((player, index) => {
+      statements.insertPlayer.run(
+        raid.id,
+        index + 1,
+        player.name,
+        player.main ?? null,
+        player.points ?? null,
+        player.killCount ?? null
+      );
+    });
+
+    statements.deleteDrops.run(raid.id);
+    for (const drop of raid.drops) {
+      statements.insertDrop.run(
+        raid.id,
+        drop.playerName,
+        drop.itemName,
+        drop.itemId ?? null,
+        drop.itemCategory ?? null,
+        drop.itemValue ?? null,
+        drop.timestamp || null
+      );
+    }
+
+    statements.deleteSplits.run(raid.id);
+    (raid.splits || []).forEach((split, index) => {
+      statements.insertSplit.run(
+        raid.id,
+        index + 1,
+        split.room,
+        split.roomKind ?? null,
+        split.durationMs ?? null,
+        split.elapsedMs ?? null,
+        split.timestamp || null
+      );
+    });
+
+    // The rename history only grows, so mirroring it with each raid keeps it current
+    for (const rename of playerRegistry.listRenames()) {
+      statements.insertRename.run(rename.from, rename.to, rename.changedAt || '');
+    }
+  })();
+
+  logger.debug(`Stored raid ${raid.id} in SQLite`);
+}
+
+async function init() {
+  openDatabase();
+}
+
+async function onRaidCreated(raid) {
+  writeRaid(raid);
+}
+
+async function onRaidUpdated(raid) {
+  writeRaid(raid);
+}
+
+async function onRaidFinalized(raid) {
+  writeRaid(raid, true);
+}
+
+/**
+ * Remove a raid whose messages were all deleted, with its players, drops and splits
+ */
+async function onRaidRetracted(raid) {
+  openDatabase();
+
+  db.transaction(() => {
+    statements.deletePlayers.run(raid.id);
+    statements.deleteDrops.run(raid.id);
+    statements.deleteSplits.run(raid.id);
+    statements.deleteRaid.run(raid.id);
+  })();
+  logger.debug(`Removed raid ${raid.id} from SQLite`);
+}
+
+/**
+ * Replace the kill count table with the latest kill counts (entries move when a player is renamed)
+ */
+async function onKillCountsUpdated(entries) {
+  openDatabase();
+
+  db.transaction(() => {
+    statements.deleteKillCounts.run();
+    for (const entry of entries) {
+      statements.insertKillCount.run({
+        player: entry.player,
+        raidType: entry.raidType,
+        mode: entry.mode,
+        killCount: entry.killCount,
+        missedRaids: entry.missedRaids || 0,
+        updatedAt: entry.updatedAt,
+      });
+    }
+  })();
+}
+
+module.exports = {
+  name: 'sqlite',
+  init,
+  onRaidCreated,
+  onRaidUpdated,
+  onRaidFinalized,
+  onRaidRetracted,
+  onKillCountsUpdated,
+};
@@ -0,0 +1,91 @@
+/**
+ * Helpers for the raid timer strings posted by the game, e.g. "46:43.80" or "1:12:56.40"
+ * Some messages separate every unit with dots instead ("42.52.80"), those are accepted too
+ */
+
+/**
+ * Normalise a time string to colon-separated form
+ * "42.52.80" -> "42:52.80", "20.57.6" -> "20:57.6", "46:43.80" is returned unchanged
+ * @param {string} timeString
+ * @returns {string|null}
+ */
+function normalizeTime(timeString) {
+  if (!timeString) return null;
+
+  const text = String(timeString).trim();
+  if (text.includes(':')) {
+    return text;
+  }
+
+  // Dot-separated: every dot except the last one separates hours/minutes/seconds
+  const parts = text.split('.');
+  if (parts.length < 3) {
+    return text;
+  }
+  return `${parts.slice(0, -1).join(':')}.${parts[parts.length - 1]}`;
+}
+
+/**
+ * Convert a raid time string to milliseconds
+ * @param {string} timeString - "m:ss", "m:ss.ff" or "h:mm:ss.ff"
+ * @returns {number|null} - Milliseconds, or null if the string can't be parsed
+ */
+function parseDurationMs(timeString) {
+  if (!timeString) return null;
+
+  const match = normalizeTime(timeString).match(/^(?:(\d+):)?(\d+):(\d{2})(?:\.(\d+))?$/);
+  if (!match) return null;
+
+  const hours = match[1] ? parseInt(match[1], 10) : 0;
+  const minutes = parseInt(match[2], 10);
+  const seconds = parseInt(match[3], 10);
+  // Fractional part is in hundredths ("80" = 800ms) but may have any precision
+  const fraction = match[4] ? Math.round(parseFloat(`0.${match[4]}`) * 1000) : 0;
+
+  return ((hours * 60 + minutes) * 60 + seconds) * 1000 + fraction;
+}
+
+/**
+ * Convert an ISO 8601 duration, as sent by RuneLite plugins, to milliseconds
+ * @param {string} isoString - e.g. "PT46M43.8S" or "PT1H2M3S"
+ * @returns {number|null} - Milliseconds, or null if the string can't be parsed
+ */
+function parseIsoDurationMs(isoString) {
+  if (!isoString) return null;
+
+  const match = String(isoString).trim().match(/^PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?$/i);
+  if (!match || (!match[1] && !match[2] && !match[3])) return null;
+
+  const hours = match[1] ? parseInt(match[1], 10) : 0;
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  const seconds = match[3] ? parseFloat(match[3]) : 0;
+
+  return Math.round(((hours * 60 + minutes) * 60 + seconds) * 1000);
+}
+
+/**
+ * Format milliseconds as a raid timer string ("m:ss.ff" or "h:mm:ss.ff")
+ * @param {number} ms
+ * @returns {string} - Empty string for null/undefined
+ */
+function formatDurationMs(ms) {
+  if (ms === null || ms === undefined) return '';
+
+  const totalHundredths = Math.round(ms / 10);
+  const hundredths = totalHundredths % 100;
+  const totalSeconds = Math.floor(totalHundredths / 100);
+  const seconds = totalSeconds % 60;
+  const minutes = Math.floor(totalSeconds / 60) % 60;
+  const hours = Math.floor(totalSeconds / 3600);
+
+  const pad = value => String(value).padStart(2, '0');
+  const clock = hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${minutes}:${pad(seconds)}`;
+  return `${clock}.${pad(hundredths)}`;
+}
+
+module.exports = {
+  normalizeTime,
+  parseDurationMs,
+  parseIsoDurationMs,
+  formatDurationMs,
+};
@@ -0,0 +1,43 @@
+/**
+ * Helpers for gold (gp) values as players and plugins write them
+ * "1,200,000,000 gp", "1.2b", "850m", "45k" and "45K coins" are all accepted
+ */
+
+const MULTIPLIERS = { k: 1e3, m: 1e6, b: 1e9 };
+
+/**
+ * Convert a gp value to a whole number of coins
+ * @param {string|number} text - e.g. "1.2b", "850m", "45k", "1,200,000,000 gp"
+ * @returns {number|null} - Coins, or null if the text holds no value
+ */
+function parseGp(text) {
+  if (text === undefined || text === null) return null;
+  if (typeof text === 'number') return Number.isFinite(text) ? Math.round(text) : null;
+
+  const match = String(text).replace(/,/g, '').match(/(\d+(?:\.\d+)?|\.\d+)\s*([kmb])?(?![a-z])/i);
+  if (!match) return null;
+
+  const multiplier = match[2] ? MULTIPLIERS[match[2].toLowerCase()] : 1;
+  return Math.round(parseFloat(match[1]) * multiplier);
+}
+
+/**
+ * Short form of a gp value, the way players write it
+ * 1200000000 -> "1.2b", 850000000 -> "850m", 45000 -> "45k", 999 -> "999"
+ * @returns {string} - Empty string for an unknown value
+ */
+function formatGp(value) {
+  if (value === null || value === undefined) return '';
+
+  for (const [suffix, multiplier] of Object.entries(MULTIPLIERS).reverse()) {
+    if (Math.abs(value) >= multiplier) {
+      return `${parseFloat((value / multiplier).toFixed(2))}${suffix}`;
+    }
+  }
+  return String(value);
+}
+
+module.exports = {
+  parseGp,
+  formatGp,
+};
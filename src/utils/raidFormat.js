@@ -0,0 +1,363 @@
+/**
+ * Shared flattening of raid entries into tabular rows
+ * Used by every output that writes one row per raid (Google Sheets, CSV)
+ */
+
+const { parseDurationMs, formatDurationMs } = require('./duration');
+const { RAIDS } = require('../catalog/raids');
+const { sameRsn } = require('./rsn');
+
+// Maximum number of players to track per raid
+const MAX_PLAYERS = 5;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Column headers matching the layout produced by raidToRow
+ * @returns {string[]}
+ */
+function getHeaders() {
+  const headers = [
+    'Timestamp',
+    'Total Points',
+    'Completion Time',
+    'Unique Drop'
+  ];
+
+  // Add player columns dynamically
+  for (let i = 1; i <= MAX_PLAYERS; i++) {
+    headers.push(`Player ${i} Name`);
+    headers.push(`Player ${i} Points`);
+  }
+
+  headers.push('Scale');
+  headers.push('Olm Time');
+  headers.push('Pre-Olm Time');
+  headers.push('Personal Best');
+  headers.push('New PB');
+  headers.push('Mode');
+  headers.push('Raid Level');
+  headers.push('Pet');
+  headers.push('Loot Value');
+
+  // Who each player is credited to - the main of an alt, the player itself otherwise
+  for (let i = 1; i <= MAX_PLAYERS; i++) {
+    headers.push(`Player ${i} Counted As`);
+  }
+
+  headers.push('Raid ID');
+
+  return headers;
+}
+
+/**
+ * Label of a raid's mode as written to the sheet ("CM", "Hard", "Expert", ...)
+ */
+function formatMode(raid) {
+  const raidInfo = RAIDS[raid.raidType || 'cox'];
+  return raidInfo.modes[raid.mode] || raidInfo.modes.normal;
+}
+
+/**
+ * Reverse formatMode for a raid type
+ * @returns {string} - Mode, 'normal' for unknown labels
+ */
+function parseModeLabel(label, raidType = 'cox') {
+  const match = Object.entries(RAIDS[raidType].modes).find(([, modeLabel]) => modeLabel === label);
+  return match ? match[0] : 'normal';
+}
+
+/**
+ * Format timestamp to EST timezone with 12-hour format
+ * e.g., "Jan 4, 10:29 PM"
+ */
+function formatTimestamp(isoTimestamp) {
+  const date = new Date(isoTimestamp);
+  return date.toLocaleString('en-US', {
+    timeZone: 'America/New_York',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    hour12: true
+  });
+}
+
+/**
+ * Format a single drop as "(playerName) - itemName"
+ * @param {Object} drop - { playerName, itemName }
+ */
+function formatDrop(drop) {
+  return drop.playerName ? `(${drop.playerName}) - ${drop.itemName}` : drop.itemName;
+}
+
+/**
+ * Check whether a drop is a pet (pets are written to their own column)
+ */
+function isPet(drop) {
+  return drop.itemCategory === 'pet';
+}
+
+/**
+ * Total value of the drops of a raid (or of one player's drops)
+ * @returns {number|null} - gp, or null when no drop has a known value
+ */
+function getLootValue(drops) {
+  const values = (drops || []).map(drop => drop.itemValue).filter(value => value !== null && value !== undefined);
+  return values.length > 0 ? values.reduce((total, value) => total + value, 0) : null;
+}
+
+/**
+ * Format all drops of a raid as one comma-separated string
+ */
+function formatDrops(drops) {
+  return (drops || []).map(formatDrop).join(', ');
+}
+
+/**
+ * Convert a "(name) - item, (name) - item" loot string back into drop objects
+ */
+function parseDrops(text, timestamp) {
+  if (!text) {
+    return [];
+  }
+
+  return String(text).split(', ').map((entry) => {
+    const match = entry.match(/^\((.+?)\) - (.+)$/);
+    return {
+      timestamp,
+      playerName: match ? match[1] : null,
+      itemName: match ? match[2] : entry,
+      itemValue: null
+    };
+  });
+}
+
+/**
+ * Reverse formatTimestamp - "Jan 4, 10:29 PM" (America/New_York) back to an ISO timestamp
+ * The year isn't stored, so the most recent matching date not in the future is assumed
+ * @returns {string|null} - ISO timestamp, or null if the text isn't in the expected format
+ */
+function parseFormattedTimestamp(text, now = Date.now()) {
+  const match = String(text || '').match(/^([A-Za-z]{3}) (\d{1,2}), (\d{1,2}):(\d{2})\s?(AM|PM)$/i);
+  if (!match) return null;
+
+  const month = MONTHS.indexOf(match[1].toLowerCase());
+  if (month < 0) return null;
+
+  let hour = parseInt(match[3], 10) % 12;
+  if (match[5].toUpperCase() === 'PM') hour += 12;
+
+  const toEpoch = (year) => {
+    // Treat the wall-clock time as UTC, then shift by New York's offset at that moment
+    const asUtc = Date.UTC(year, month, parseInt(match[2], 10), hour, parseInt(match[4], 10));
+    const newYorkWallClock = new Date(new Date(asUtc).toLocaleString('en-US', { timeZone: 'America/New_York' }) + ' UTC');
+    return asUtc - (newYorkWallClock.getTime() - asUtc);
+  };
+
+  const year = new Date(now).getUTCFullYear();
+  let epoch = toEpoch(year);
+  if (epoch > now + 86400000) {
+    epoch = toEpoch(year - 1);
+  }
+
+  return new Date(epoch).toISOString();
+}
+
+/**
+ * Time spent before reaching Olm (total duration minus the Olm room)
+ * @returns {number|null} - Milliseconds, or null if either time is unknown
+ */
+function getPreOlmMs(raid) {
+  const totalMs = raid.completionTimeMs ?? parseDurationMs(raid.completionTime);
+  const olmMs = raid.olmTimeMs ?? parseDurationMs(raid.olmTime);
+  if (totalMs === null || olmMs === null) {
+    return null;
+  }
+  return totalMs - olmMs;
+}
+
+/**
+ * Convert raid data to spreadsheet row format
+ */
+function raidToRow(raid) {
+  const completionTime = raid.completionTime || '';
+
+  // Format timestamp to EST with 12-hour format
+  const formattedTimestamp = formatTimestamp(raid.timestamp);
+
+  const row = [
+    formattedTimestamp,
+    raid.totalPoints || '',
+    completionTime,
+    formatDrops(raid.drops.filter(drop => !isPet(drop)))
+  ];
+
+  // Add up to MAX_PLAYERS players (name and points pairs)
+  for (let i = 0; i < MAX_PLAYERS; i++) {
+    if (i < raid.players.length) {
+      row.push(raid.players[i].name || '');
+      row.push(raid.players[i].points || '');
+    } else {
+      row.push('');
+      row.push('');
+    }
+  }
+
+  // Add scale (team size) in column O (index 14, after 4 base + 10 player columns)
+  row.push(raid.scale || '');
+
+  // Olm / pre-Olm split and personal best (columns P-S)
+  row.push(raid.olmTime || '');
+  row.push(formatDurationMs(getPreOlmMs(raid)));
+  row.push(raid.personalBest || '');
+  row.push(raid.newPersonalBest ? 'Yes' : '');
+
+  // Raid mode (column T) and Tombs of Amascut raid level (column U)
+  row.push(formatMode(raid));
+  row.push(raid.raidLevel ?? '');
+
+  // Pets (column V), kept apart from the unique drops so they stand out
+  row.push(formatDrops(raid.drops.filter(isPet)));
+
+  // Total value of the drops in gp (column W)
+  row.push(getLootValue(raid.drops) ?? '');
+
+  // Alts are credited to their main (see the player registry) (columns X-AB)
+  for (let i = 0; i < MAX_PLAYERS; i++) {
+    const player = raid.players[i];
+    row.push(player ? player.main || player.name || '' : '');
+  }
+
+  // The tracker's ID of the raid (column AC), so a raid read back after a restart is the same raid
+  // to outputs keyed by it (SQLite, the file archive)
+  row.push(raid.id || '');
+
+  return row;
+}
+
+/**
+ * Rebuild a raid entry from a row written by raidToRow
+ * @param {Array} row - Cell values as read back from the sheet
+ * @param {number} sheetRow - Row number the values were read from
+ * @param {string} [raidType] - Raid the tab holds
+ * @returns {Object|null} - Raid entry, or null if the row doesn't look like a raid
+ */
+function rowToRaid(row, sheetRow, raidType = 'cox') {
+  const timestamp = parseFormattedTimestamp(row[0]);
+  if (!timestamp) return null;
+
+  const toNumber = value => (value === '' || value === undefined || value === null ? null : Number(value));
+
+  const scaleIndex = 4 + MAX_PLAYERS * 2;
+  const countedAsIndex = scaleIndex + 9;
+
+  const players = [];
+  for (let i = 0; i < MAX_PLAYERS; i++) {
+    const name = row[4 + i * 2];
+    if (name) {
+      const countedAs = row[countedAsIndex + i];
+      players.push({
+        name: String(name),
+        points: toNumber(row[5 + i * 2]),
+        main: countedAs && !sameRsn(countedAs, name) ? String(countedAs) : null
+      });
+    }
+  }
+
+  const toText = value => (value === undefined || value === null ? '' : String(value));
+  const completionTime = toText(row[2]);
+  const olmTime = toText(row[scaleIndex + 1]);
+  const personalBest = toText(row[scaleIndex + 3]);
+
+  return {
+    id: toText(row[countedAsIndex + MAX_PLAYERS]) || null,
+    timestamp,
+    totalPoints: toNumber(row[1]),
+    completionTime,
+    completionTimeMs: parseDurationMs(completionTime),
+    olmTime,
+    olmTimeMs: parseDurationMs(olmTime),
+    personalBest,
+    personalBestMs: parseDurationMs(personalBest),
+    newPersonalBest: row[scaleIndex + 4] === 'Yes',
+    raidType,
+    mode: parseModeLabel(row[scaleIndex + 5], raidType),
+    raidLevel: toNumber(row[scaleIndex + 6]),
+    scale: toText(row[scaleIndex]),
+    drops: [
+      ...parseDrops(row[3], timestamp),
+      ...parseDrops(row[scaleIndex + 7], timestamp).map(drop => ({ ...drop, itemCategory: 'pet' }))
+    ],
+    splits: [], // Splits live in their own tab and aren't needed to correlate new messages
+    players,
+    sheetRow,
+    addedToSheet: true
+  };
+}
+
+/**
+ * Column headers matching the layout produced by splitsToRows
+ * @returns {string[]}
+ */
+function getSplitHeaders() {
+  return ['Raid Timestamp', 'Total Points', 'Mode', 'Room', 'Room Time', 'Raid Time', 'Raid'];
+}
+
+/**
+ * Convert the room splits of a raid to spreadsheet rows, one per room in completion order
+ */
+function splitsToRows(raid) {
+  return (raid.splits || []).map(split => [
+    formatTimestamp(raid.timestamp),
+    raid.totalPoints || '',
+    formatMode(raid),
+    split.room,
+    split.duration || '',
+    split.elapsed || '',
+    RAIDS[raid.raidType || 'cox'].shortName
+  ]);
+}
+
+/**
+ * Column headers matching the layout produced by killCountsToRows
+ * @returns {string[]}
+ */
+function getPlayerHeaders() {
+  return ['Player', 'Raid', 'Mode', 'Kill Count', 'Last Updated', 'Missed Raids'];
+}
+
+/**
+ * Convert the latest kill counts of the players to spreadsheet rows, one per player, raid and mode
+ * @param {Object[]} entries - Kill counts as kept by the kill count store
+ */
+function killCountsToRows(entries) {
+  return entries.map(entry => [
+    entry.player,
+    RAIDS[entry.raidType].shortName,
+    formatMode(entry),
+    entry.killCount,
+    formatTimestamp(entry.updatedAt),
+    entry.missedRaids || ''
+  ]);
+}
+
+module.exports = {
+  MAX_PLAYERS,
+  getHeaders,
+  getSplitHeaders,
+  getPlayerHeaders,
+  formatTimestamp,
+  formatDrop,
+  formatDrops,
+  formatMode,
+  isPet,
+  getPreOlmMs,
+  getLootValue,
+  parseDrops,
+  parseFormattedTimestamp,
+  raidToRow,
+  rowToRaid,
+  splitsToRows,
+  killCountsToRows,
+};
@@ -0,0 +1,56 @@
+/**
+ * RuneScape name (RSN) helpers
+ *
+ * The same player arrives as "H y p e r r", "H_y_p_e_r_r", "h y p e r r" or with non-breaking
+ * spaces depending on the plugin. The game itself treats spaces, underscores and hyphens in names
+ * as the same character and ignores case, so names are compared on that basis.
+ */
+
+// Characters the game treats as a space in names (incl. non-breaking and other unicode spaces)
+const SEPARATORS = /[\s_-]+/g;
+// Invisible characters some clients insert into names
+const ZERO_WIDTH = /[\u200b-\u200d\ufeff]/g;
+
+/**
+ * Clean a name for display: unicode spaces and underscores become plain spaces, runs collapse
+ * Case and hyphens are kept as the player wrote them
+ * @param {string} name
+ * @returns {string|null}
+ */
+function cleanRsn(name) {
+  if (name === null || name === undefined) return null;
+
+  const cleaned = String(name)
+    .replace(ZERO_WIDTH, '')
+    .replace(/[\s_]+/g, ' ')
+    .trim();
+  return cleaned || null;
+}
+
+/**
+ * Canonical key for comparing names - lowercase with every separator as a single space
+ * "H_y p e-r r" -> "h y p e r r"
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeRsn(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(ZERO_WIDTH, '')
+    .replace(SEPARATORS, ' ')
+    .trim();
+}
+
+/**
+ * Check whether two names belong to the same account
+ */
+function sameRsn(a, b) {
+  if (!a || !b) return false;
+  return normalizeRsn(a) === normalizeRsn(b);
+}
+
+module.exports = {
+  cleanRsn,
+  normalizeRsn,
+  sameRsn,
+};
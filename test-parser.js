@@ -0,0 +1,91 @@
+/**
+ * Test a sample message against every parser rule
+ * Run with: node test-parser.js "Total points: 30,000, Personal points: 6,000" [--username "H y p e r r"] [--rules parser-rules.json]
+ * Without a message argument the message is read from stdin.
+ */
+
+require('dotenv').config();
+const path = require('path');
+const { loadRules, explainMessage, parseWithRules } = require('./src/parsers/ruleRegistry');
+
+/**
+ * Split the command line into the message and the --username / --rules options
+ */
+function parseArgs(args) {
+  const options = {
+    username: null,
+    rulesPath: process.env.PARSER_RULES_PATH || './parser-rules.json',
+    message: null,
+  };
+  const words = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--username') {
+      options.username = args[++i];
+    } else if (args[i] === '--rules') {
+      options.rulesPath = args[++i];
+    } else {
+      words.push(args[i]);
+    }
+  }
+
+  if (words.length > 0) {
+    // Allow "\n" in the argument for multi-line messages
+    options.message = words.join(' ').replace(/\\n/g, '\n');
+  }
+  return options;
+}
+
+function readStdin() {
+  return new Promise((resolve) => {
+    let input = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => { input += chunk; });
+    process.stdin.on('end', () => resolve(input));
+  });
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const message = options.message ?? await readStdin();
+
+  if (!message.trim()) {
+    console.error('❌ No message given');
+    console.log('Usage: node test-parser.js "<message>" [--username <name>] [--rules <file>]');
+    process.exit(1);
+  }
+
+  const rulesPath = path.resolve(process.cwd(), options.rulesPath);
+  let rules;
+  try {
+    rules = loadRules(rulesPath);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  console.log(`📋 ${rules.length} rule(s) loaded (custom rules: ${rulesPath})\n`);
+
+  for (const { rule, attempts } of explainMessage(message, options.username)) {
+    const origin = rule.source.endsWith('defaultRules.json') ? 'built-in' : 'custom';
+    const produced = attempts.find(attempt => attempt.data);
+
+    if (produced) {
+      console.log(`✅ ${rule.name} [${rule.type}, priority ${rule.priority}, ${origin}]`);
+    } else if (attempts.length > 0) {
+      console.log(`⚠️  ${rule.name} [${rule.type}, priority ${rule.priority}, ${origin}] - matched, but rejected by the ${rule.type} builder`);
+    } else {
+      console.log(`❌ ${rule.name} [${rule.type}, priority ${rule.priority}, ${origin}] - no match`);
+    }
+
+    for (const attempt of attempts) {
+      console.log(`     "${attempt.target}" -> ${JSON.stringify(attempt.captures)}`);
+    }
+  }
+
+  const result = parseWithRules(message, options.username);
+  console.log('\n📝 Result:');
+  console.log(result ? JSON.stringify(result, null, 2) : 'Message did not match any rule');
+}
+
+main();
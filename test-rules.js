@@ -0,0 +1,48 @@
+/**
+ * Checks of the built-in parser rules against sample messages
+ * Run with: node test-rules.js (or npm test)
+ */
+
+const assert = require('assert');
+const { loadRules, parseWithRules } = require('./src/parsers/ruleRegistry');
+
+const checks = [];
+
+function check(name, run) {
+  checks.push({ name, run });
+}
+
+check('a drop gets the value on its own line', () => {
+  const data = parseWithRules('alpha - Twisted bow (1,200,000,000 gp)\nbravo - Elder maul (40m gp)', null, { type: 'loot' });
+  assert.strictEqual(data.playerName, 'alpha');
+  assert.strictEqual(data.itemName, 'Twisted bow');
+  assert.strictEqual(data.itemValue, 1200000000);
+});
+
+check('a drop without a value does not take the value of another line', () => {
+  const data = parseWithRules('alpha - Twisted bow\nbravo - Elder maul (40m gp)', null, { type: 'loot' });
+  assert.strictEqual(data.itemName, 'Twisted bow');
+  assert.strictEqual(data.itemValue, null);
+});
+
+check('each drop of a message keeps its own value', () => {
+  const lines = ['alpha - Twisted bow (1,200,000,000 gp)', 'bravo - Elder maul (40m gp)'];
+  const values = lines.map(line => parseWithRules(line, null, { type: 'loot' }).itemValue);
+  assert.deepStrictEqual(values, [1200000000, 40000000]);
+});
+
+loadRules();
+
+let failed = 0;
+for (const { name, run } of checks) {
+  try {
+    run();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`❌ ${name}: ${error.message}`);
+  }
+}
+
+console.log(`\n${checks.length - failed} of ${checks.length} check(s) passed`);
+process.exit(failed > 0 ? 1 : 0);